@@ -1,12 +1,14 @@
 // deploy-commands.js
-import { REST, Routes, SlashCommandBuilder } from "discord.js";
+import { REST, Routes, SlashCommandBuilder, ChannelType } from "discord.js";
 
 const token = process.env.DISCORD_TOKEN;
 const clientId = process.env.CLIENT_ID;
+// optional: set GUILD_ID to register in one server only (instant, handy for testing);
+// leave it unset to register globally for every server the bot is in
 const guildId = process.env.GUILD_ID;
 
-if (!token || !clientId || !guildId) {
-  console.error("❌ Missing DISCORD_TOKEN, CLIENT_ID, or GUILD_ID (set them in Replit Secrets)");
+if (!token || !clientId) {
+  console.error("❌ Missing DISCORD_TOKEN or CLIENT_ID (set them in Replit Secrets)");
   process.exit(1);
 }
 
@@ -15,46 +17,376 @@ if (!token || !clientId || !guildId) {
     const commands = [
       new SlashCommandBuilder()
         .setName("totals")
-        .setDescription("Show totals for eggs and milk")
+        .setDescription("Show totals for every catalogue item")
         .addStringOption(o =>
           o.setName("since")
-            .setDescription('Time filter like "24h", "7d", "30d"')
+            .setDescription('From: "7d", "2w", "3mo", "2026-10-01", "this_week", "last_month"...')
+            .setRequired(false)
+        )
+        .addStringOption(o =>
+          o.setName("until")
+            .setDescription('Up to: "1w", "2026-10-08", "last_week"... (default: now)')
+            .setRequired(false)
+        )
+        .addStringOption(o =>
+          o.setName("ranch")
+            .setDescription("Ranch id or registered name (default: all ranches)")
             .setRequired(false)
         ),
 
       new SlashCommandBuilder()
         .setName("leaderboard")
-        .setDescription("Top collectors of eggs and milk (posts per-person embeds)")
+        .setDescription("Ranked collectors, one page at a time")
         .addStringOption(o =>
           o.setName("since")
-            .setDescription('Time filter like "24h", "7d", "30d"')
+            .setDescription('From: "7d", "2w", "3mo", "2026-10-01", "this_week", "last_month"...')
+            .setRequired(false)
+        )
+        .addStringOption(o =>
+          o.setName("until")
+            .setDescription('Up to: "1w", "2026-10-08", "last_week"... (default: now)')
+            .setRequired(false)
+        )
+        .addStringOption(o =>
+          o.setName("sort_by")
+            .setDescription('items, revenue (default), herd_net or an item key like "eggs"')
             .setRequired(false)
         )
         .addIntegerOption(o =>
           o.setName("limit")
-            .setDescription("Limit number of collectors shown (default 50)")
+            .setDescription("Limit number of collectors ranked (default 50, max 200)")
+            .setRequired(false)
+        )
+        .addStringOption(o =>
+          o.setName("ranch")
+            .setDescription("Ranch id or registered name (default: all ranches)")
+            .setRequired(false)
+        ),
+
+      new SlashCommandBuilder()
+        .setName("mystats")
+        .setDescription("Your own totals, rank, week-over-week change and best week")
+        .addStringOption(o =>
+          o.setName("since")
+            .setDescription('From: "7d", "2w", "2026-10-01", "this_week"... (default: all of the current period)')
             .setRequired(false)
         ),
 
+      new SlashCommandBuilder()
+        .setName("stats")
+        .setDescription("A member's totals, rank, week-over-week change and best week")
+        .addUserOption(o =>
+          o.setName("user")
+            .setDescription("Member to look up (default: you)")
+            .setRequired(false)
+        )
+        .addStringOption(o =>
+          o.setName("since")
+            .setDescription('From: "7d", "2w", "2026-10-01", "this_week"... (default: all of the current period)')
+            .setRequired(false)
+        ),
+
+      new SlashCommandBuilder()
+        .setName("herd")
+        .setDescription("Herd ledger: animals held, average cost, realized and unrealized profit")
+        .addSubcommand(s =>
+          s.setName("ledger")
+            .setDescription("Per-animal breakdown by ranch")
+            .addStringOption(o =>
+              o.setName("animal")
+                .setDescription('Only this animal, e.g. "bison"')
+                .setRequired(false)
+            )
+            .addStringOption(o =>
+              o.setName("ranch")
+                .setDescription("Only this ranch (name or id)")
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("sales")
+            .setDescription("Recent herd sales with their cost and profit")
+            .addStringOption(o =>
+              o.setName("animal")
+                .setDescription('Only this animal, e.g. "bison"')
+                .setRequired(false)
+            )
+            .addStringOption(o =>
+              o.setName("ranch")
+                .setDescription("Only this ranch (name or id)")
+                .setRequired(false)
+            )
+            .addIntegerOption(o =>
+              o.setName("limit")
+                .setDescription("How many to show (default 10, max 25)")
+                .setRequired(false)
+            )
+        ),
+
+      new SlashCommandBuilder()
+        .setName("export")
+        .setDescription("Download gathers or per-user totals as a CSV or JSON file (archived periods included)")
+        .addStringOption(o =>
+          o.setName("kind")
+            .setDescription("Raw gather rows (default) or per-user totals")
+            .setRequired(false)
+            .addChoices({ name: "rows", value: "rows" }, { name: "per-user report", value: "report" })
+        )
+        .addStringOption(o =>
+          o.setName("format")
+            .setDescription("csv (default) or json")
+            .setRequired(false)
+            .addChoices({ name: "csv", value: "csv" }, { name: "json", value: "json" })
+        )
+        .addStringOption(o =>
+          o.setName("since")
+            .setDescription('From: "7d", "2w", "3mo", "2026-10-01", "this_week", "last_month"...')
+            .setRequired(false)
+        )
+        .addStringOption(o =>
+          o.setName("until")
+            .setDescription('Up to: "1w", "2026-10-08", "last_week"... (default: now)')
+            .setRequired(false)
+        )
+        .addUserOption(o =>
+          o.setName("user")
+            .setDescription("Only this member")
+            .setRequired(false)
+        )
+        .addStringOption(o =>
+          o.setName("type")
+            .setDescription("Only this item (key or alias), herd_buy or herd_sell")
+            .setRequired(false)
+        ),
+
+      new SlashCommandBuilder()
+        .setName("gather")
+        .setDescription("ADMIN: Add, correct or delete individual gather entries")
+        .addSubcommand(s =>
+          s.setName("list")
+            .setDescription("A member's latest entries with their ids")
+            .addUserOption(o =>
+              o.setName("user")
+                .setDescription("Member")
+                .setRequired(true)
+            )
+            .addIntegerOption(o =>
+              o.setName("limit")
+                .setDescription("How many (default 15, max 25)")
+                .setRequired(false)
+            )
+            .addBooleanOption(o =>
+              o.setName("deleted")
+                .setDescription("Show deleted entries instead (by /gather delete or their message being deleted or edited)")
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("add")
+            .setDescription("Log an entry by hand")
+            .addUserOption(o =>
+              o.setName("user")
+                .setDescription("Member")
+                .setRequired(true)
+            )
+            .addStringOption(o =>
+              o.setName("type")
+                .setDescription("Item key or alias, herd_buy or herd_sell")
+                .setRequired(true)
+            )
+            .addIntegerOption(o =>
+              o.setName("amount")
+                .setDescription("How many")
+                .setRequired(true)
+            )
+            .addStringOption(o =>
+              o.setName("reason")
+                .setDescription("Why; kept in the member's change history")
+                .setRequired(true)
+            )
+            .addStringOption(o =>
+              o.setName("when")
+                .setDescription('When it happened: "2026-10-12 18:30", "2026-10-12", "2d"... (default: now)')
+                .setRequired(false)
+            )
+            .addStringOption(o =>
+              o.setName("subtype")
+                .setDescription("Animal for herd_buy / herd_sell")
+                .setRequired(false)
+            )
+            .addNumberOption(o =>
+              o.setName("value")
+                .setDescription("Sale amount for herd_sell ($)")
+                .setRequired(false)
+            )
+            .addStringOption(o =>
+              o.setName("ranch")
+                .setDescription('Ranch name or id ("none" to clear)')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("edit")
+            .setDescription("Correct an entry; options left out stay as they are")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Entry id from /gather list")
+                .setRequired(true)
+            )
+            .addStringOption(o =>
+              o.setName("reason")
+                .setDescription("Why; kept in the member's change history")
+                .setRequired(true)
+            )
+            .addUserOption(o =>
+              o.setName("user")
+                .setDescription("Member")
+                .setRequired(false)
+            )
+            .addStringOption(o =>
+              o.setName("type")
+                .setDescription("Item key or alias, herd_buy or herd_sell")
+                .setRequired(false)
+            )
+            .addIntegerOption(o =>
+              o.setName("amount")
+                .setDescription("How many")
+                .setRequired(false)
+            )
+            .addStringOption(o =>
+              o.setName("when")
+                .setDescription('When it happened: "2026-10-12 18:30", "2026-10-12", "2d"... (default: now)')
+                .setRequired(false)
+            )
+            .addStringOption(o =>
+              o.setName("subtype")
+                .setDescription("Animal for herd_buy / herd_sell")
+                .setRequired(false)
+            )
+            .addNumberOption(o =>
+              o.setName("value")
+                .setDescription("Sale amount for herd_sell ($)")
+                .setRequired(false)
+            )
+            .addStringOption(o =>
+              o.setName("ranch")
+                .setDescription('Ranch name or id ("none" to clear)')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("delete")
+            .setDescription("Delete an entry (undo with /undo)")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Entry id from /gather list")
+                .setRequired(true)
+            )
+            .addStringOption(o =>
+              o.setName("reason")
+                .setDescription("Why; kept in the member's change history")
+                .setRequired(true)
+            )
+        ),
+
+      new SlashCommandBuilder()
+        .setName("import")
+        .setDescription("ADMIN: Load gathers from a CSV or JSON file (shows a dry run first)")
+        .addAttachmentOption(o =>
+          o.setName("file")
+            .setDescription("Columns like /export rows: time or date, discord_id, item_type, amount, subtype, value, ranch_id")
+            .setRequired(true)
+        ),
+
       new SlashCommandBuilder()
         .setName("weekly_totals")
-        .setDescription("Show totals for eggs and milk for the last 7 days (posts per-person embeds)"),
+        .setDescription("Show item totals for the last 7 days (posts per-person embeds)")
+        .addStringOption(o =>
+          o.setName("ranch")
+            .setDescription("Ranch id or registered name (default: all ranches)")
+            .setRequired(false)
+        ),
 
       new SlashCommandBuilder()
         .setName("reset_week")
-        .setDescription("ADMIN: Reset (delete) all logged entries in the last 7 days"),
+        .setDescription("ADMIN: Close the open period into a past period (asks to confirm; entries are kept)")
+        .addStringOption(o =>
+          o.setName("ranch")
+            .setDescription("Ranch id or registered name to reset (default: all ranches)")
+            .setRequired(false)
+        ),
 
       new SlashCommandBuilder()
         .setName("subscribe_reports")
-        .setDescription("Subscribe to weekly DM reports (Mon 09:00 America/Toronto)"),
+        .setDescription("Subscribe to DM reports, or change how you get them (see /get_report_schedule)")
+        .addStringOption(o =>
+          o.setName("format")
+            .setDescription("Plain text (default) or embeds")
+            .setRequired(false)
+            .addChoices({ name: "text", value: "text" }, { name: "embed", value: "embed" })
+        )
+        .addStringOption(o =>
+          o.setName("scope")
+            .setDescription("Whose stats to include (default: everyone)")
+            .setRequired(false)
+            .addChoices({ name: "everyone", value: "full" }, { name: "top N (see top)", value: "top" }, { name: "only mine", value: "me" })
+        )
+        .addIntegerOption(o =>
+          o.setName("top")
+            .setDescription("How many collectors for scope top N (1-50, default 10)")
+            .setRequired(false)
+        )
+        .addStringOption(o =>
+          o.setName("frequency")
+            .setDescription("Weekly report (default) or the daily digest")
+            .setRequired(false)
+            .addChoices({ name: "weekly", value: "weekly" }, { name: "daily", value: "daily" })
+        )
+        .addStringOption(o =>
+          o.setName("ranch")
+            .setDescription('Only this ranch (name or id), or "all"')
+            .setRequired(false)
+        ),
 
       new SlashCommandBuilder()
         .setName("unsubscribe_reports")
         .setDescription("Unsubscribe from weekly DM reports"),
 
+      new SlashCommandBuilder()
+        .setName("link")
+        .setDescription("Link your in-game character so logs that only name it count for you")
+        .addStringOption(o =>
+          o.setName("character")
+            .setDescription('Character name as it shows in the logs, e.g. "Bob" for "[Bob] collected 5 milk"')
+            .setRequired(true)
+        )
+        .addUserOption(o =>
+          o.setName("user")
+            .setDescription("ADMIN: link it to this member instead (also moves a name someone else has)")
+            .setRequired(false)
+        ),
+
+      new SlashCommandBuilder()
+        .setName("unlink")
+        .setDescription("Remove a character link (yours, or anyone's for admins)")
+        .addStringOption(o =>
+          o.setName("character")
+            .setDescription("Character name")
+            .setRequired(true)
+        ),
+
+      new SlashCommandBuilder()
+        .setName("characters")
+        .setDescription("List linked in-game characters, and names in the logs still waiting for a link")
+        .addUserOption(o =>
+          o.setName("user")
+            .setDescription("Only this member's characters")
+            .setRequired(false)
+        ),
+
       new SlashCommandBuilder()
         .setName("set_report_schedule")
-        .setDescription("ADMIN: Set the weekly report schedule (weekday 0-6, hour 0-23, minute 0-59)")
+        .setDescription("ADMIN: Set when the weekly report & reset runs (weekday 0-6, hour 0-23, minute 0-59)")
         .addIntegerOption(o =>
           o.setName("weekday")
             .setDescription("Day of week: 0=Sunday,1=Monday,...,6=Saturday")
@@ -62,7 +394,7 @@ if (!token || !clientId || !guildId) {
         )
         .addIntegerOption(o =>
           o.setName("hour")
-            .setDescription("Hour (0-23) in America/Toronto time")
+            .setDescription("Hour (0-23) in the server timezone (see /setup timezone)")
             .setRequired(true)
         )
         .addIntegerOption(o =>
@@ -73,17 +405,563 @@ if (!token || !clientId || !guildId) {
 
       new SlashCommandBuilder()
         .setName("get_report_schedule")
-        .setDescription("Show the current weekly DM report schedule"),
+        .setDescription("Show the report schedules"),
+
+      new SlashCommandBuilder()
+        .setName("schedule")
+        .setDescription("Named cron schedules for reports, in the server timezone")
+        .addSubcommand(s =>
+          s.setName("list")
+            .setDescription("List schedules with their next and last run")
+        )
+        .addSubcommand(s =>
+          s.setName("add")
+            .setDescription("ADMIN: Add or change a schedule")
+            .addStringOption(o =>
+              o.setName("name")
+                .setDescription("Schedule name, e.g. weekly or digest")
+                .setRequired(true)
+            )
+            .addStringOption(o =>
+              o.setName("cron")
+                .setDescription("minute hour day month weekday, e.g. 0 9 * * 1 or 0 21 * * * (or @daily, @weekly)")
+                .setRequired(true)
+            )
+            .addStringOption(o =>
+              o.setName("job")
+                .setDescription("What to run")
+                .setRequired(true)
+                .addChoices(
+                  { name: "Weekly report & rollover", value: "weekly_report" },
+                  { name: "Report the open period so far (no rollover)", value: "report" },
+                  { name: "Rollover: close the open period (no report)", value: "rollover" },
+                  { name: "Last 24h digest (no rollover)", value: "daily_digest" }
+                )
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("remove")
+            .setDescription("ADMIN: Remove a schedule (undo with /undo)")
+            .addStringOption(o =>
+              o.setName("name")
+                .setDescription("Schedule name")
+                .setRequired(true)
+            )
+        ),
+
+      new SlashCommandBuilder()
+        .setName("report")
+        .setDescription("The report for the open period so far, without closing it")
+        .addSubcommand(s =>
+          s.setName("preview")
+            .setDescription("Show the report to yourself only; nothing is posted or changed")
+        )
+        .addSubcommand(s =>
+          s.setName("send")
+            .setDescription("ADMIN: Send the report to the report destination now (no rollover)")
+        ),
+
+      new SlashCommandBuilder()
+        .setName("report_destination")
+        .setDescription("ADMIN: Where reports are sent; every destination gets every report")
+        .addSubcommand(s =>
+          s.setName("list")
+            .setDescription("List destinations and how their last delivery went")
+        )
+        .addSubcommand(s =>
+          s.setName("add")
+            .setDescription("Send reports to a channel, a webhook or the DM subscribers too")
+            .addStringOption(o =>
+              o.setName("kind")
+                .setDescription("Destination type")
+                .setRequired(true)
+                .addChoices(
+                  { name: "channel", value: "channel" },
+                  { name: "webhook", value: "webhook" },
+                  { name: "DM subscribers", value: "dm" }
+                )
+            )
+            .addChannelOption(o =>
+              o.setName("channel")
+                .setDescription("Channel (kind: channel)")
+                .setRequired(false)
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            )
+            .addStringOption(o =>
+              o.setName("url")
+                .setDescription("Discord webhook URL (kind: webhook)")
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("remove")
+            .setDescription("Stop sending reports to a destination (undo with /undo)")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Destination id from /report_destination list")
+                .setRequired(true)
+            )
+        ),
 
       new SlashCommandBuilder()
         .setName("run_weekly_report_now")
-        .setDescription("ADMIN: Run the weekly report & reset immediately for testing (admin only)")
+        .setDescription("ADMIN: Post the weekly report and close the week now (asks to confirm)"),
+
+      new SlashCommandBuilder()
+        .setName("permissions")
+        .setDescription("ADMIN: Let roles use admin commands without Manage Server")
+        .addSubcommand(s =>
+          s.setName("list")
+            .setDescription("Show which roles have which capabilities")
+        )
+        .addSubcommand(s =>
+          s.setName("grant")
+            .setDescription("Give a role a capability")
+            .addRoleOption(o =>
+              o.setName("role")
+                .setDescription("Role to grant it to")
+                .setRequired(true)
+            )
+            .addStringOption(o =>
+              o.setName("capability")
+                .setDescription("What the role may do")
+                .setRequired(true)
+                .addChoices(
+                  { name: "view_reports — preview reports, export, audit log", value: "view_reports" },
+                  { name: "edit_gathers — add/edit/delete/import gathers", value: "edit_gathers" },
+                  { name: "manage_prices — items and prices", value: "manage_prices" },
+                  { name: "reset_periods — reset the week, run report early", value: "reset_periods" },
+                  { name: "manage_reports — send reports, schedules, destinations", value: "manage_reports" },
+                  { name: "run_backfill — re-scan channel history", value: "run_backfill" },
+                  { name: "configure — ranches, setup, undo", value: "configure" }
+                )
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("revoke")
+            .setDescription("Take a capability away from a role")
+            .addRoleOption(o =>
+              o.setName("role")
+                .setDescription("Role to revoke it from")
+                .setRequired(true)
+            )
+            .addStringOption(o =>
+              o.setName("capability")
+                .setDescription("What the role may do")
+                .setRequired(true)
+                .addChoices(
+                  { name: "view_reports — preview reports, export, audit log", value: "view_reports" },
+                  { name: "edit_gathers — add/edit/delete/import gathers", value: "edit_gathers" },
+                  { name: "manage_prices — items and prices", value: "manage_prices" },
+                  { name: "reset_periods — reset the week, run report early", value: "reset_periods" },
+                  { name: "manage_reports — send reports, schedules, destinations", value: "manage_reports" },
+                  { name: "run_backfill — re-scan channel history", value: "run_backfill" },
+                  { name: "configure — ranches, setup, undo", value: "configure" }
+                )
+            )
+        ),
+
+      new SlashCommandBuilder()
+        .setName("backfill")
+        .setDescription("ADMIN: Import gathers from the listen channels' message history")
+        .addSubcommand(s =>
+          s.setName("start")
+            .setDescription("Start a backfill job (already logged messages are skipped)")
+            .addStringOption(o =>
+              o.setName("since")
+                .setDescription("Oldest messages to read, e.g. 30d or 2026-01-01 (default 365d)")
+                .setRequired(false)
+            )
+            .addStringOption(o =>
+              o.setName("until")
+                .setDescription("Newest messages to read, e.g. 2026-06-30 (default now)")
+                .setRequired(false)
+            )
+            .addIntegerOption(o =>
+              o.setName("max_messages")
+                .setDescription("Most messages to scan per channel (default 200000)")
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("status")
+            .setDescription("Show a backfill job's progress")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Job number (default: the latest)")
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("cancel")
+            .setDescription("Stop the running backfill job")
+        ),
+
+      new SlashCommandBuilder()
+        .setName("audit")
+        .setDescription("ADMIN: Show the audit log of admin actions and data changes")
+        .addIntegerOption(o =>
+          o.setName("limit")
+            .setDescription("How many to show (default 15, max 50)")
+            .setRequired(false)
+        )
+        .addStringOption(o =>
+          o.setName("action")
+            .setDescription('Only this action, e.g. "reset", "gather" or "schedule.add"')
+            .setRequired(false)
+        )
+        .addUserOption(o =>
+          o.setName("user")
+            .setDescription("Only actions by this member")
+            .setRequired(false)
+        ),
+
+      new SlashCommandBuilder()
+        .setName("undo")
+        .setDescription("ADMIN: Review and restore resets and removals")
+        .addSubcommand(s =>
+          s.setName("list")
+            .setDescription("List recent resets and removals")
+            .addIntegerOption(o =>
+              o.setName("limit")
+                .setDescription("How many to show (default 10, max 25)")
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("restore")
+            .setDescription("Put back what one operation reset or removed")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Operation id from /undo list")
+                .setRequired(true)
+            )
+        ),
+
+      new SlashCommandBuilder()
+        .setName("history")
+        .setDescription("List past weekly periods with their totals")
+        .addIntegerOption(o =>
+          o.setName("limit")
+            .setDescription("How many periods to show (default 10, max 25)")
+            .setRequired(false)
+        ),
+
+      new SlashCommandBuilder()
+        .setName("period")
+        .setDescription("Past weekly periods")
+        .addSubcommand(s =>
+          s.setName("show")
+            .setDescription("Show the full report of a past period")
+            .addIntegerOption(o =>
+              o.setName("number")
+                .setDescription("Period number from /history")
+                .setRequired(true)
+            )
+        ),
+
+      new SlashCommandBuilder()
+        .setName("parse_failures")
+        .setDescription("ADMIN: Review webhook messages the parser could not read")
+        .addSubcommand(s =>
+          s.setName("list")
+            .setDescription("List pending unparsed messages")
+            .addIntegerOption(o =>
+              o.setName("limit")
+                .setDescription("How many to show (default 10, max 25)")
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("show")
+            .setDescription("Show the full text of one unparsed message")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Entry id from /parse_failures list")
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("reprocess")
+            .setDescription("Run pending messages through the parser rules again")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Only re-process this entry (default: all pending)")
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("dismiss")
+            .setDescription("Mark an unparsed message as not a gather log")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Entry id from /parse_failures list")
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("rules")
+            .setDescription("List parser rules and their fixture check results")
+        ),
+
+      new SlashCommandBuilder()
+        .setName("duplicates")
+        .setDescription("ADMIN: Review gathers held back as likely duplicates")
+        .addSubcommand(s =>
+          s.setName("list")
+            .setDescription("List flagged duplicates waiting for review")
+            .addIntegerOption(o =>
+              o.setName("limit")
+                .setDescription("How many to show (default 10, max 25)")
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("keep")
+            .setDescription("It was a real gather: count it")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Flagged duplicate id (see /duplicates list)")
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("dismiss")
+            .setDescription("It was a repeat: leave it out of the totals")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Flagged duplicate id (see /duplicates list)")
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("rules")
+            .setDescription("Show the dedupe window per item type")
+        )
+        .addSubcommand(s =>
+          s.setName("rule")
+            .setDescription("Set how long identical content counts as a repeat for one item type")
+            .addStringOption(o =>
+              o.setName("type")
+                .setDescription('"default", an item key, herd_buy or herd_sell')
+                .setRequired(true)
+            )
+            .addIntegerOption(o =>
+              o.setName("window_seconds")
+                .setDescription("Seconds; 0 = only repeated webhook event ids count")
+                .setRequired(true)
+            )
+        ),
+
+      new SlashCommandBuilder()
+        .setName("items")
+        .setDescription("Item catalogue: what gets counted and what it is worth")
+        .addSubcommand(s =>
+          s.setName("list")
+            .setDescription("Show every catalogue item with its price and matched words")
+        )
+        .addSubcommand(s =>
+          s.setName("add")
+            .setDescription("ADMIN: Add an item or update an existing one")
+            .addStringOption(o =>
+              o.setName("key")
+                .setDescription('Stored item type, e.g. "wool"')
+                .setRequired(true)
+            )
+            .addStringOption(o =>
+              o.setName("name")
+                .setDescription('Display name, e.g. "Wool"')
+                .setRequired(false)
+            )
+            .addStringOption(o =>
+              o.setName("emoji")
+                .setDescription("Emoji shown next to the name")
+                .setRequired(false)
+            )
+            .addNumberOption(o =>
+              o.setName("price")
+                .setDescription("Revenue per unit, effective now (use /price set for dated changes)")
+                .setRequired(false)
+                .setMinValue(0)
+            )
+            .addStringOption(o =>
+              o.setName("aliases")
+                .setDescription('Comma-separated words the webhook uses, e.g. "hide,hides,pelt"')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("remove")
+            .setDescription("ADMIN: Retire an item (logged amounts are kept)")
+            .addStringOption(o =>
+              o.setName("key")
+                .setDescription("Item key from /items list")
+                .setRequired(true)
+            )
+        ),
+
+      new SlashCommandBuilder()
+        .setName("price")
+        .setDescription("ADMIN: Manage the price book for items and herd animals")
+        .addSubcommand(s =>
+          s.setName("set")
+            .setDescription("Set a price, effective now or from a date")
+            .addStringOption(o =>
+              o.setName("kind")
+                .setDescription("Item or herd animal")
+                .setRequired(true)
+                .addChoices({ name: "item", value: "item" }, { name: "herd", value: "herd" })
+            )
+            .addStringOption(o =>
+              o.setName("key")
+                .setDescription('Item key (e.g. "eggs") or animal (e.g. "bison")')
+                .setRequired(true)
+            )
+            .addNumberOption(o =>
+              o.setName("price")
+                .setDescription("Price per unit / per animal")
+                .setRequired(true)
+                .setMinValue(0)
+            )
+            .addStringOption(o =>
+              o.setName("effective")
+                .setDescription('Effective from, e.g. "2026-10-01" or "2026-10-01 09:00" in the server timezone (default now)')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("list")
+            .setDescription("Show the prices in force now")
+            .addStringOption(o =>
+              o.setName("kind")
+                .setDescription("Only items or only herd animals")
+                .setRequired(false)
+                .addChoices({ name: "item", value: "item" }, { name: "herd", value: "herd" })
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("history")
+            .setDescription("Show every recorded price for one item or animal")
+            .addStringOption(o =>
+              o.setName("kind")
+                .setDescription("Item or herd animal")
+                .setRequired(true)
+                .addChoices({ name: "item", value: "item" }, { name: "herd", value: "herd" })
+            )
+            .addStringOption(o =>
+              o.setName("key")
+                .setDescription('Item key (e.g. "eggs") or animal (e.g. "bison")')
+                .setRequired(true)
+            )
+        ),
+
+      new SlashCommandBuilder()
+        .setName("ranch")
+        .setDescription("Named ranches and cross-ranch comparison")
+        .addSubcommand(s =>
+          s.setName("list")
+            .setDescription("List registered ranches")
+        )
+        .addSubcommand(s =>
+          s.setName("compare")
+            .setDescription("Compare ranches by items and revenue")
+            .addStringOption(o =>
+              o.setName("since")
+                .setDescription('From: "7d", "2w", "3mo", "2026-10-01", "this_week", "last_month"...')
+                .setRequired(false)
+            )
+            .addStringOption(o =>
+              o.setName("until")
+                .setDescription('Up to: "1w", "2026-10-08", "last_week"... (default: now)')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("register")
+            .setDescription("ADMIN: Name a ranch id from the game logs (re-run to rename)")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Ranch id as printed in the logs")
+                .setRequired(true)
+            )
+            .addStringOption(o =>
+              o.setName("name")
+                .setDescription("Display name, e.g. Bluewater")
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("remove")
+            .setDescription("ADMIN: Unregister a ranch name (logged entries are kept)")
+            .addIntegerOption(o =>
+              o.setName("id")
+                .setDescription("Ranch id")
+                .setRequired(true)
+            )
+        ),
+
+      new SlashCommandBuilder()
+        .setName("setup")
+        .setDescription("ADMIN: Configure this server's listen channels and report destination")
+        .addSubcommand(s =>
+          s.setName("show")
+            .setDescription("Show this server's configuration")
+        )
+        .addSubcommand(s =>
+          s.setName("listen_add")
+            .setDescription("Read gather logs from a channel")
+            .addChannelOption(o =>
+              o.setName("channel")
+                .setDescription("Channel the game webhook posts in")
+                .setRequired(true)
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("listen_remove")
+            .setDescription("Stop reading gather logs from a channel")
+            .addChannelOption(o =>
+              o.setName("channel")
+                .setDescription("Listen channel to remove")
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("rollover_channel")
+            .setDescription("Post a notice in a channel whenever a period is closed (leave empty to turn off)")
+            .addChannelOption(o =>
+              o.setName("channel")
+                .setDescription("Notice channel")
+                .setRequired(false)
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("audit_channel")
+            .setDescription("Copy every audit log entry to a channel (leave empty to turn off)")
+            .addChannelOption(o =>
+              o.setName("channel")
+                .setDescription("Audit channel")
+                .setRequired(false)
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            )
+        )
+        .addSubcommand(s =>
+          s.setName("timezone")
+            .setDescription("Timezone for schedules, dates and named periods like this_week")
+            .addStringOption(o =>
+              o.setName("name")
+                .setDescription('IANA timezone, e.g. "America/Toronto" or "Europe/London"')
+                .setRequired(true)
+            )
+        )
     ].map(c => c.toJSON());
 
     const rest = new REST({ version: "10" }).setToken(token);
-    await rest.put(Routes.applicationGuildCommands(clientId, guildId), { body: commands });
+    const route = guildId ? Routes.applicationGuildCommands(clientId, guildId) : Routes.applicationCommands(clientId);
+    await rest.put(route, { body: commands });
 
-    console.log("✅ Slash commands deployed successfully.");
+    console.log(`✅ Slash commands deployed ${guildId ? `to guild ${guildId}` : "globally (may take up to an hour to appear)"}.`);
   } catch (err) {
     console.error("Failed to deploy commands:", err);
     process.exit(1);
@@ -1,19 +1,21 @@
 // index.js
-// Ranch Discord bot — collects milk/eggs/herding from webhook messages and produces reports
-import { Client, GatewayIntentBits, Partials, PermissionsBitField } from "discord.js";
+// Ranch Discord bot — collects ranch items (eggs, milk, wool, ...) and herding from webhook messages and produces reports
+import { Client, GatewayIntentBits, Partials, PermissionsBitField, ButtonStyle, ComponentType } from "discord.js";
 import Database from "better-sqlite3";
 import http from "http";
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
 
 // ================= CONFIG =================
-const PRICE_PER_ITEM = 1.25; // revenue per milk or egg
-// per-animal buy prices — change these to set buy cost per animal
-const HERD_PRICES = {
+// Prices live in the `prices` table (see /price). These only seed a fresh database.
+const SEED_ITEM_PRICE = 1.25; // per egg / milk / other catalogue item
+const SEED_HERD_PRICES = {
   bison: 60,
   cow: 40,
-  goat: 20,
+  goat: 18,
   pig: 30,
   sheep: 30,
-  goat: 18,
   deer: 50,
   chicken: 10,
   pronghorn: 40,
@@ -21,14 +23,20 @@ const HERD_PRICES = {
 };
 // ==========================================
 
-// env
+// env — per-guild settings come from /setup. GUILD_ID + LISTEN_CHANNEL_ID (+ REPORT_WEBHOOK_URL)
+// are still honoured for single-server installs: that guild is configured from them on startup
+// and adopts data logged before guild scoping existed.
 const token = process.env.DISCORD_TOKEN;
-const listenChannelId = process.env.LISTEN_CHANNEL_ID;
-const reportWebhookUrl = process.env.REPORT_WEBHOOK_URL || null;
+const listenChannelIdEnv = process.env.LISTEN_CHANNEL_ID || null;
+const reportWebhookUrlEnv = process.env.REPORT_WEBHOOK_URL || null;
 const guildIdEnv = process.env.GUILD_ID || null;
 
-if (!token || !listenChannelId) {
-  console.error("Missing DISCORD_TOKEN or LISTEN_CHANNEL_ID in env.");
+// run as the bot (node index.js), or imported by the tests: those only get the exports at the end,
+// with no token check, health server or login
+const isMain = !!process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1]);
+
+if (isMain && !token) {
+  console.error("Missing DISCORD_TOKEN in env.");
   process.exit(1);
 }
 
@@ -39,7 +47,8 @@ const client = new Client({
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.MessageContent
   ],
-  partials: [Partials.Channel]
+  // Message partials so edits and deletions of messages from before the last restart still arrive
+  partials: [Partials.Channel, Partials.Message]
 });
 
 // ----------------- DB -----------------
@@ -49,108 +58,866 @@ const db = new Database(DB_PATH);
 
 // base schema + migration
 db.exec(`
+-- one row per gather event; a message can hold several, so event_key ("<message_id>#<n>") is the
+-- unique key rather than message_id. Removed rows (/gather delete, their message deleted or edited
+-- away) are kept with deleted_at set: totals, exports and the duplicate check skip them, /undo clears it
 CREATE TABLE IF NOT EXISTS gathers (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   ts INTEGER NOT NULL,
   channel_id TEXT NOT NULL,
-  message_id TEXT NOT NULL UNIQUE,
+  message_id TEXT NOT NULL,
+  event_key TEXT NOT NULL UNIQUE,
   discord_id TEXT,
   ranch_id INTEGER,
   item_type TEXT NOT NULL,
   amount INTEGER NOT NULL,
   value REAL DEFAULT 0,
-  subtype TEXT DEFAULT NULL
+  subtype TEXT DEFAULT NULL,
+  guild_id TEXT,
+  period_id INTEGER,
+  fingerprint TEXT,
+  deleted_at INTEGER
 );
-CREATE INDEX IF NOT EXISTS idx_gathers_ts ON gathers(ts);
-CREATE INDEX IF NOT EXISTS idx_gathers_user ON gathers(discord_id);
-CREATE INDEX IF NOT EXISTS idx_gathers_ranch ON gathers(ranch_id);
 
+-- DM report preferences: format text|embed, scope full|top|me (top_n for top), frequency
+-- weekly|daily, ranch_id NULL = all ranches. paused_at is set when Discord refuses the DM
 CREATE TABLE IF NOT EXISTS report_subscribers (
-  discord_id TEXT PRIMARY KEY
+  guild_id TEXT,
+  discord_id TEXT NOT NULL,
+  format TEXT NOT NULL DEFAULT 'text',
+  scope TEXT NOT NULL DEFAULT 'full',
+  top_n INTEGER,
+  frequency TEXT NOT NULL DEFAULT 'weekly',
+  ranch_id INTEGER,
+  paused_at INTEGER,
+  pause_reason TEXT,
+  PRIMARY KEY (guild_id, discord_id)
 );
 
 CREATE TABLE IF NOT EXISTS meta (
   key TEXT PRIMARY KEY,
   value TEXT
 );
+
+-- webhook messages kept for admin review / re-processing: reason 'unparsed' when no parse rule
+-- understood them, 'no_mention' when events only named characters nobody has linked (actor lists them).
+-- message is the content and embeds as JSON (messageSource), so re-processing reads it block by block
+-- like the listener did; text is what was read, for display
+CREATE TABLE IF NOT EXISTS parse_failures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ts INTEGER NOT NULL,
+  channel_id TEXT NOT NULL,
+  message_id TEXT NOT NULL UNIQUE,
+  text TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  resolved_at INTEGER,
+  guild_id TEXT,
+  reason TEXT NOT NULL DEFAULT 'unparsed',
+  actor TEXT,
+  message TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_parse_failures_status ON parse_failures(status);
+
+-- item catalogue, one per guild: every gather type besides herd_buy/herd_sell. aliases = comma-separated words
+-- the parser matches. unit_price is only the starting price copied into the price book below
+CREATE TABLE IF NOT EXISTS items (
+  guild_id TEXT NOT NULL,
+  key TEXT NOT NULL,
+  display_name TEXT NOT NULL,
+  emoji TEXT NOT NULL DEFAULT '',
+  unit_price REAL NOT NULL DEFAULT 0,
+  aliases TEXT NOT NULL DEFAULT '',
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  active INTEGER NOT NULL DEFAULT 1,
+  PRIMARY KEY (guild_id, key)
+);
+
+-- price book: kind = 'item' (key = items.key) or 'herd' (key = animal). The row with the
+-- latest effective_ts <= a gather's ts is the price in force for that gather.
+-- guild_id NULL rows are the defaults; a guild's own rows take precedence over them.
+CREATE TABLE IF NOT EXISTS prices (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind TEXT NOT NULL,
+  key TEXT NOT NULL,
+  price REAL NOT NULL,
+  effective_ts INTEGER NOT NULL,
+  set_by TEXT,
+  set_at INTEGER NOT NULL,
+  guild_id TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_prices_lookup ON prices(kind, key, effective_ts);
+
+-- named ranches; ranch_id is the id the game prints in its logs (gathers.ranch_id)
+CREATE TABLE IF NOT EXISTS ranches (
+  guild_id TEXT,
+  ranch_id INTEGER NOT NULL,
+  name TEXT NOT NULL COLLATE NOCASE,
+  registered_by TEXT,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, ranch_id),
+  UNIQUE (guild_id, name)
+);
+
+-- per-guild settings written by /setup; timezone NULL = DEFAULT_TIMEZONE.
+-- rollover_channel_id gets a short notice whenever a period is closed, audit_channel_id a copy
+-- of every audit_log entry
+CREATE TABLE IF NOT EXISTS guild_config (
+  guild_id TEXT PRIMARY KEY,
+  report_channel_id TEXT,
+  report_webhook_url TEXT,
+  configured_by TEXT,
+  created_at INTEGER NOT NULL,
+  timezone TEXT,
+  rollover_channel_id TEXT,
+  audit_channel_id TEXT
+);
+
+-- channels whose webhook logs are parsed, and the guild they belong to
+CREATE TABLE IF NOT EXISTS listen_channels (
+  channel_id TEXT PRIMARY KEY,
+  guild_id TEXT NOT NULL,
+  added_by TEXT,
+  created_at INTEGER NOT NULL
+);
+
+-- closed report periods. A reset tags its gathers rows with the period id instead of deleting
+-- them; snapshot is the JSON totals at close time (see closePeriod). number counts up per guild.
+-- ranch_id is set when only one ranch was reset.
+CREATE TABLE IF NOT EXISTS periods (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  number INTEGER NOT NULL,
+  ranch_id INTEGER,
+  started_ts INTEGER NOT NULL,
+  closed_ts INTEGER NOT NULL,
+  closed_by TEXT,
+  gather_count INTEGER NOT NULL DEFAULT 0,
+  snapshot TEXT NOT NULL,
+  UNIQUE (guild_id, number)
+);
+
+-- where reports are sent; every row gets every report. kind is channel (target = channel id),
+-- webhook (target = URL) or dm (target = '', meaning all report subscribers).
+-- report_channel_id / report_webhook_url in guild_config are only read once to seed this
+CREATE TABLE IF NOT EXISTS report_destinations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  target TEXT NOT NULL DEFAULT '',
+  added_by TEXT,
+  created_at INTEGER NOT NULL,
+  UNIQUE (guild_id, kind, target)
+);
+
+-- one row per delivery attempt (recipient is the subscriber for dm destinations)
+CREATE TABLE IF NOT EXISTS report_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  destination_id INTEGER NOT NULL,
+  recipient TEXT,
+  attempt INTEGER NOT NULL,
+  ok INTEGER NOT NULL,
+  http_status INTEGER,
+  error TEXT,
+  ts INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_report_deliveries_dest ON report_deliveries(destination_id, ts);
+
+-- named cron schedules per guild, evaluated in the guild timezone; job is a registered schedule job.
+-- the last run of each is kept in meta as schedule_last_run:<id> (see runDueSchedules)
+CREATE TABLE IF NOT EXISTS schedules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  name TEXT NOT NULL COLLATE NOCASE,
+  cron TEXT NOT NULL,
+  job TEXT NOT NULL,
+  created_by TEXT,
+  created_at INTEGER NOT NULL,
+  UNIQUE (guild_id, name)
+);
+
+-- manual /gather add|edit|delete. before/after are the gathers row as JSON (NULL on the side
+-- that doesn't exist); discord_id is the member the row belongs to afterwards (or before, for deletes)
+CREATE TABLE IF NOT EXISTS gather_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  gather_id INTEGER NOT NULL,
+  discord_id TEXT,
+  action TEXT NOT NULL,
+  before TEXT,
+  after TEXT,
+  reason TEXT,
+  performed_by TEXT NOT NULL,
+  performed_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_gather_history_member ON gather_history(guild_id, discord_id, performed_at);
+
+-- who changed what: admin commands, scheduled runs, resets and backfills. actor is a member id,
+-- "schedule:<name>" or "system"; params / affected are JSON
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  params TEXT,
+  affected TEXT,
+  ts INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_audit_log_guild ON audit_log(guild_id, ts);
+
+-- capabilities granted to Discord roles (see CAPABILITIES); Manage Server implies all of them
+CREATE TABLE IF NOT EXISTS role_capabilities (
+  guild_id TEXT NOT NULL,
+  role_id TEXT NOT NULL,
+  capability TEXT NOT NULL,
+  granted_by TEXT,
+  granted_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, role_id, capability)
+);
+
+-- in-game character names (the [Name] / "Name |" actor in logs) mapped to members via /link;
+-- name_key is the lowercased, single-spaced name
+CREATE TABLE IF NOT EXISTS character_links (
+  guild_id TEXT NOT NULL,
+  name_key TEXT NOT NULL,
+  name TEXT NOT NULL,
+  discord_id TEXT NOT NULL,
+  linked_by TEXT,
+  linked_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, name_key)
+);
+
+-- one row per /backfill start; status is running, done, cancelled or failed. A job walks each
+-- listen channel backwards from until_ts (or now); before_id is the per-channel resume cursor.
+CREATE TABLE IF NOT EXISTS backfill_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',
+  since_ts INTEGER,
+  until_ts INTEGER,
+  max_messages INTEGER NOT NULL,
+  started_by TEXT,
+  started_at INTEGER NOT NULL,
+  finished_at INTEGER,
+  error TEXT,
+  progress_channel_id TEXT,
+  progress_message_id TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_backfill_jobs_guild ON backfill_jobs(guild_id, status);
+CREATE TABLE IF NOT EXISTS backfill_job_channels (
+  job_id INTEGER NOT NULL,
+  channel_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  before_id TEXT,
+  scanned INTEGER NOT NULL DEFAULT 0,
+  inserted INTEGER NOT NULL DEFAULT 0,
+  duplicates INTEGER NOT NULL DEFAULT 0,
+  oldest_ts INTEGER,
+  error TEXT,
+  PRIMARY KEY (job_id, channel_id)
+);
+
+-- gathers the listener held back as likely repeats of duplicate_of, for admin review. reason is
+-- "event" (same webhook event seen again) or "window" (same content within the dedupe window);
+-- status is pending, kept (inserted into gathers after all) or dismissed
+CREATE TABLE IF NOT EXISTS duplicate_gathers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  ts INTEGER NOT NULL,
+  channel_id TEXT NOT NULL,
+  message_id TEXT NOT NULL,
+  event_key TEXT NOT NULL UNIQUE,
+  discord_id TEXT,
+  ranch_id INTEGER,
+  item_type TEXT NOT NULL,
+  amount INTEGER NOT NULL,
+  value REAL DEFAULT 0,
+  subtype TEXT DEFAULT NULL,
+  fingerprint TEXT NOT NULL,
+  duplicate_of INTEGER,
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  resolved_by TEXT,
+  resolved_at INTEGER
+);
+CREATE INDEX IF NOT EXISTS idx_duplicate_gathers_status ON duplicate_gathers(guild_id, status);
+
+-- how long identical content without a webhook event id counts as a repeat, per item type
+-- ('*' = the guild default). window_ms 0 turns content matching off for that type
+CREATE TABLE IF NOT EXISTS dedupe_rules (
+  guild_id TEXT NOT NULL,
+  item_type TEXT NOT NULL,
+  window_ms INTEGER NOT NULL,
+  set_by TEXT,
+  set_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, item_type)
+);
+
+-- tombstone of every destructive operation (resets, removals); payload is the JSON the kind's
+-- undo handler needs to put things back. restored_at is set once it has been undone.
+CREATE TABLE IF NOT EXISTS destructive_ops (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  summary TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  performed_by TEXT,
+  performed_at INTEGER NOT NULL,
+  restored_by TEXT,
+  restored_at INTEGER
+);
+CREATE INDEX IF NOT EXISTS idx_destructive_ops_guild ON destructive_ops(guild_id, performed_at);
+`);
+
+// ----- migrations for databases created before guild scoping -----
+function hasColumn(table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+// copies every row into a new definition of the table; the AUTOINCREMENT counter carries over so
+// ids of deleted rows (which /undo may restore) are never handed out again
+function rebuildTable(table, createSql, columns, select) {
+  db.transaction(() => {
+    const seq = db.prepare(`SELECT seq FROM sqlite_sequence WHERE name = ?`).get(table);
+    db.exec(`
+      ALTER TABLE ${table} RENAME TO ${table}_old;
+      ${createSql};
+      INSERT INTO ${table} (${columns}) SELECT ${select} FROM ${table}_old;
+      DROP TABLE ${table}_old;
+    `);
+    db.prepare(`DELETE FROM sqlite_sequence WHERE name = ?`).run(table);
+    if (seq) db.prepare(`INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)`).run(table, seq.seq);
+  })();
+}
+// both changed keys, so they are rebuilt; old rows get guild_id NULL until adopted below.
+// message_id was unique while a message could only hold one gather
+if (!hasColumn("gathers", "event_key")) {
+  rebuildTable("gathers", `
+    CREATE TABLE gathers (id INTEGER PRIMARY KEY AUTOINCREMENT, ts INTEGER NOT NULL, channel_id TEXT NOT NULL, message_id TEXT NOT NULL, event_key TEXT NOT NULL UNIQUE,
+      discord_id TEXT, ranch_id INTEGER, item_type TEXT NOT NULL, amount INTEGER NOT NULL, value REAL DEFAULT 0, subtype TEXT DEFAULT NULL, guild_id TEXT, period_id INTEGER,
+      fingerprint TEXT, deleted_at INTEGER)`,
+    "id, ts, channel_id, message_id, event_key, discord_id, ranch_id, item_type, amount, value, subtype",
+    "id, ts, channel_id, message_id, message_id || '#0', discord_id, ranch_id, item_type, amount, value, subtype");
+}
+if (!hasColumn("report_subscribers", "guild_id")) {
+  rebuildTable("report_subscribers", `
+    CREATE TABLE report_subscribers (guild_id TEXT, discord_id TEXT NOT NULL, format TEXT NOT NULL DEFAULT 'text', scope TEXT NOT NULL DEFAULT 'full', top_n INTEGER,
+      frequency TEXT NOT NULL DEFAULT 'weekly', ranch_id INTEGER, paused_at INTEGER, pause_reason TEXT, PRIMARY KEY (guild_id, discord_id))`,
+    "guild_id, discord_id", "NULL, discord_id");
+}
+db.exec(`
+CREATE INDEX IF NOT EXISTS idx_gathers_ts ON gathers(ts);
+CREATE INDEX IF NOT EXISTS idx_gathers_user ON gathers(discord_id);
+CREATE INDEX IF NOT EXISTS idx_gathers_ranch ON gathers(ranch_id);
+CREATE INDEX IF NOT EXISTS idx_gathers_message ON gathers(message_id);
+CREATE INDEX IF NOT EXISTS idx_gathers_guild_ts ON gathers(guild_id, ts);
+CREATE INDEX IF NOT EXISTS idx_gathers_period ON gathers(period_id);
+CREATE INDEX IF NOT EXISTS idx_gathers_fingerprint ON gathers(guild_id, fingerprint, ts);
+CREATE INDEX IF NOT EXISTS idx_listen_channels_guild ON listen_channels(guild_id);
 `);
 
+// single-server installs: configure GUILD_ID from the legacy env vars and let it adopt unscoped rows
+if (guildIdEnv) {
+  const now = Date.now();
+  db.transaction(() => {
+    db.prepare(`INSERT OR IGNORE INTO guild_config (guild_id, report_webhook_url, configured_by, created_at) VALUES (@guild_id, @url, 'env', @now)`)
+      .run({ guild_id: guildIdEnv, url: reportWebhookUrlEnv, now });
+    if (listenChannelIdEnv) {
+      db.prepare(`INSERT OR IGNORE INTO listen_channels (channel_id, guild_id, added_by, created_at) VALUES (@channel_id, @guild_id, 'env', @now)`)
+        .run({ channel_id: listenChannelIdEnv, guild_id: guildIdEnv, now });
+    }
+    for (const table of ["gathers", "report_subscribers"]) {
+      db.prepare(`UPDATE OR IGNORE ${table} SET guild_id = @guild_id WHERE guild_id IS NULL`).run({ guild_id: guildIdEnv });
+    }
+    // schedule and its last-run marker used to be global meta keys
+    for (const key of ["report_schedule", "last_report_date"]) {
+      db.prepare(`UPDATE OR IGNORE meta SET key = @scoped WHERE key = @key`).run({ key, scoped: `${key}:${guildIdEnv}` });
+    }
+  })();
+}
+// backfill cursors used to be meta keys that were never cleared, so every later backfill resumed
+// where the first one stopped; they now live on backfill_job_channels
+db.prepare(`DELETE FROM meta WHERE key LIKE 'history_last_fetched_id%'`).run();
+
+// every guild starts from this catalogue (seeded on first use); existing rows (admin edits) are left alone
+const DEFAULT_ITEMS = [
+  { key: "eggs", display_name: "Eggs", emoji: "🥚", aliases: "egg,eggs" },
+  { key: "milk", display_name: "Milk", emoji: "🥛", aliases: "milk" },
+  { key: "wool", display_name: "Wool", emoji: "🧶", aliases: "wool" },
+  { key: "feathers", display_name: "Feathers", emoji: "🪶", aliases: "feather,feathers" },
+  { key: "hides", display_name: "Hides", emoji: "🟫", aliases: "hide,hides,pelt,pelts" },
+  { key: "crops", display_name: "Crops", emoji: "🌾", aliases: "crop,crops" }
+].map((it, i) => ({ ...it, unit_price: SEED_ITEM_PRICE, sort_order: i, active: 1 }));
+
+// seed the price book once, effective since forever, from DEFAULT_ITEMS and SEED_HERD_PRICES
+if (db.prepare(`SELECT COUNT(1) AS cnt FROM prices`).get().cnt === 0) {
+  const seedPrice = db.prepare(`
+    INSERT INTO prices (kind, key, price, effective_ts, set_by, set_at)
+    VALUES (@kind, @key, @price, 0, 'seed', @set_at)
+  `);
+  const set_at = Date.now();
+  db.transaction(() => {
+    for (const it of DEFAULT_ITEMS) seedPrice.run({ kind: "item", key: it.key, price: it.unit_price, set_at });
+    for (const [animal, price] of Object.entries(SEED_HERD_PRICES)) seedPrice.run({ kind: "herd", key: animal, price, set_at });
+  })();
+}
+
 // prepared statements
 const insertGather = db.prepare(`
-INSERT INTO gathers (ts, channel_id, message_id, discord_id, ranch_id, item_type, amount, value, subtype)
-VALUES (@ts, @channel_id, @message_id, @discord_id, @ranch_id, @item_type, @amount, @value, @subtype)
-`);
-
-const countRecentDuplicate = db.prepare(`
-  SELECT COUNT(1) AS cnt FROM gathers
-  WHERE channel_id = @channel_id
-    AND item_type = @item_type
-    AND amount = @amount
-    AND (
-      (@discord_id IS NULL AND discord_id IS NULL)
-      OR (discord_id = @discord_id)
-    )
-    AND ts >= @since_ts
+INSERT INTO gathers (guild_id, ts, channel_id, message_id, event_key, discord_id, ranch_id, item_type, amount, value, subtype, fingerprint)
+VALUES (@guild_id, @ts, @channel_id, @message_id, @event_key, @discord_id, @ranch_id, @item_type, @amount, @value, @subtype, @fingerprint)
 `);
 
-const sumTotals = db.prepare(`
-SELECT
-  COALESCE(SUM(CASE WHEN item_type='eggs' THEN amount END), 0) AS eggs,
-  COALESCE(SUM(CASE WHEN item_type='milk' THEN amount END), 0) AS milk
-FROM gathers
-WHERE (@ranch_id IS NULL OR ranch_id = @ranch_id)
-  AND (@since_ts IS NULL OR ts >= @since_ts)
+const getGather = db.prepare(`SELECT * FROM gathers WHERE guild_id = @guild_id AND id = @id AND deleted_at IS NULL`);
+const getStoredGather = db.prepare(`SELECT * FROM gathers WHERE guild_id = @guild_id AND id = @id`);
+// a message's removed rows; edited_away when its latest deletion was by a message edit ("discord"),
+// so a later edit may put it back. Rows a moderator deleted stay deleted
+const listDeletedGathersByMessage = db.prepare(`
+  SELECT g.*, (SELECT h.performed_by FROM gather_history h WHERE h.guild_id = g.guild_id AND h.gather_id = g.id AND h.action = 'delete'
+               ORDER BY h.performed_at DESC, h.id DESC LIMIT 1) = 'discord' AS edited_away
+  FROM gathers g
+  WHERE g.guild_id = @guild_id AND g.message_id = @message_id AND g.deleted_at IS NOT NULL
+  ORDER BY g.id
+`);
+const updateGather = db.prepare(`
+  UPDATE gathers SET ts = @ts, discord_id = @discord_id, ranch_id = @ranch_id, item_type = @item_type, amount = @amount, value = @value, subtype = @subtype,
+    fingerprint = @fingerprint
+  WHERE guild_id = @guild_id AND id = @id
+`);
+const deleteGather = db.prepare(`UPDATE gathers SET deleted_at = @deleted_at WHERE guild_id = @guild_id AND id = @id AND deleted_at IS NULL`);
+const undeleteGather = db.prepare(`UPDATE gathers SET deleted_at = NULL WHERE guild_id = @guild_id AND id = @id`);
+const restoreGather = db.prepare(`
+  INSERT INTO gathers (id, guild_id, ts, channel_id, message_id, event_key, discord_id, ranch_id, item_type, amount, value, subtype, period_id, fingerprint)
+  VALUES (@id, @guild_id, @ts, @channel_id, @message_id, @event_key, @discord_id, @ranch_id, @item_type, @amount, @value, @subtype, @period_id, @fingerprint)
+`);
+const listMemberGathers = db.prepare(`
+  SELECT g.*, p.number AS period_number,
+         EXISTS (SELECT 1 FROM gather_history h WHERE h.gather_id = g.id) AS edited
+  FROM gathers g LEFT JOIN periods p ON p.id = g.period_id
+  WHERE g.guild_id = @guild_id AND g.discord_id = @discord_id
+    AND (g.deleted_at IS NOT NULL) = @deleted
+  ORDER BY g.ts DESC, g.id DESC
+  LIMIT @limit
+`);
+const insertGatherHistory = db.prepare(`
+  INSERT INTO gather_history (guild_id, gather_id, discord_id, action, before, after, reason, performed_by, performed_at)
+  VALUES (@guild_id, @gather_id, @discord_id, @action, @before, @after, @reason, @performed_by, @performed_at)
+`);
+// a member's manual changes, including rows moved away from them by an edit
+const listMemberGatherHistory = db.prepare(`
+  SELECT * FROM gather_history
+  WHERE guild_id = @guild_id AND (discord_id = @discord_id OR json_extract(before, '$.discord_id') = @discord_id)
+  ORDER BY performed_at DESC, id DESC
+  LIMIT @limit
 `);
+// deleted rows count too: an event that was removed is not logged again by backfill, import or re-processing
+const gatherEventExists = db.prepare(`SELECT 1 FROM gathers WHERE event_key = @event_key`);
+const listGathersByMessage = db.prepare(`SELECT * FROM gathers WHERE guild_id = @guild_id AND message_id = @message_id AND deleted_at IS NULL ORDER BY id`);
+// a moderator changed the row with /gather edit: message edits no longer overwrite it
+const gatherEditedByHand = db.prepare(`SELECT 1 FROM gather_history WHERE guild_id = @guild_id AND gather_id = @id AND action = 'edit' AND performed_by <> 'discord' LIMIT 1`);
 
-const sumTotalsSince = db.prepare(`
-  SELECT
-    COALESCE(SUM(CASE WHEN item_type='eggs' THEN amount END), 0) AS eggs,
-    COALESCE(SUM(CASE WHEN item_type='milk' THEN amount END), 0) AS milk
-  FROM gathers
-  WHERE ts >= @since_ts
+const findDuplicateGather = db.prepare(`
+  SELECT id FROM gathers WHERE guild_id = @guild_id AND fingerprint = @fingerprint AND ts >= @since_ts AND deleted_at IS NULL
+  ORDER BY ts DESC LIMIT 1
+`);
+const insertDuplicateGather = db.prepare(`
+  INSERT OR IGNORE INTO duplicate_gathers (guild_id, ts, channel_id, message_id, event_key, discord_id, ranch_id, item_type, amount, value, subtype, fingerprint, duplicate_of, reason)
+  VALUES (@guild_id, @ts, @channel_id, @message_id, @event_key, @discord_id, @ranch_id, @item_type, @amount, @value, @subtype, @fingerprint, @duplicate_of, @reason)
+`);
+const getDuplicateGather = db.prepare(`SELECT * FROM duplicate_gathers WHERE guild_id = @guild_id AND id = @id`);
+const duplicateEventExists = db.prepare(`SELECT 1 FROM duplicate_gathers WHERE event_key = @event_key`);
+const listDuplicatesByMessage = db.prepare(`SELECT * FROM duplicate_gathers WHERE guild_id = @guild_id AND message_id = @message_id`);
+const listPendingDuplicates = db.prepare(`SELECT * FROM duplicate_gathers WHERE guild_id = @guild_id AND status = 'pending' ORDER BY ts DESC LIMIT @limit`);
+const countPendingDuplicates = db.prepare(`SELECT COUNT(1) AS cnt FROM duplicate_gathers WHERE guild_id = @guild_id AND status = 'pending'`);
+const resolveDuplicateGather = db.prepare(`
+  UPDATE duplicate_gathers SET status = @status, resolved_by = @resolved_by, resolved_at = @resolved_at
+  WHERE guild_id = @guild_id AND id = @id AND status = @from_status
+`);
+const listDedupeRules = db.prepare(`SELECT * FROM dedupe_rules WHERE guild_id = @guild_id ORDER BY item_type`);
+const getDedupeRule = db.prepare(`SELECT window_ms FROM dedupe_rules WHERE guild_id = @guild_id AND item_type = @item_type`);
+const setDedupeRule = db.prepare(`
+  INSERT INTO dedupe_rules (guild_id, item_type, window_ms, set_by, set_at) VALUES (@guild_id, @item_type, @window_ms, @set_by, @set_at)
+  ON CONFLICT(guild_id, item_type) DO UPDATE SET window_ms = @window_ms, set_by = @set_by, set_at = @set_at
+`);
+
+// value of one gathers row (alias g) at the price in force when it was logged:
+// items and herd buys come from the price book, herd sells keep the parsed sale amount.
+// herd buys fall back to the value stored at parse time when the animal has no price.
+// the gather's guild prices win over the defaults (guild_id NULL).
+const PRICED_VALUE_SQL = `
+  CASE WHEN g.item_type = 'herd_sell' THEN g.value
+  ELSE COALESCE(g.amount * (
+    SELECT p.price FROM prices p
+    WHERE p.kind = CASE WHEN g.item_type = 'herd_buy' THEN 'herd' ELSE 'item' END
+      AND p.key = CASE WHEN g.item_type = 'herd_buy' THEN g.subtype ELSE g.item_type END
+      AND (p.guild_id = g.guild_id OR p.guild_id IS NULL)
+      AND p.effective_ts <= g.ts
+    ORDER BY (p.guild_id IS NULL), p.effective_ts DESC, p.id DESC
+    LIMIT 1
+  ), CASE WHEN g.item_type = 'herd_buy' THEN g.value ELSE 0 END)
+  END`;
+
+// every herd buy and sell in logged order, closed periods included: the herd outlives a reset
+const listHerdMoves = db.prepare(`
+SELECT g.id, g.ts, g.ranch_id, g.discord_id, g.item_type, g.subtype, g.amount, ${PRICED_VALUE_SQL} AS value
+FROM gathers g
+WHERE g.guild_id = @guild_id
+  AND g.deleted_at IS NULL
+  AND g.item_type IN ('herd_buy', 'herd_sell')
+  AND g.subtype IS NOT NULL
+  AND (@ranch_id IS NULL OR g.ranch_id = @ranch_id)
+  AND (@subtype IS NULL OR g.subtype = @subtype)
+ORDER BY g.ts, g.id
+`);
+const lastHerdSale = db.prepare(`
+  SELECT amount, value FROM gathers
+  WHERE guild_id = @guild_id AND item_type = 'herd_sell' AND subtype = @subtype AND amount > 0 AND value > 0 AND deleted_at IS NULL
     AND (@ranch_id IS NULL OR ranch_id = @ranch_id)
-    AND (@discord_id IS NULL OR discord_id = @discord_id)
+  ORDER BY ts DESC, id DESC
+  LIMIT 1
 `);
 
-const topUsers = db.prepare(`
-SELECT discord_id,
-       COALESCE(SUM(CASE WHEN item_type='eggs' THEN amount END), 0) AS eggs,
-       COALESCE(SUM(CASE WHEN item_type='milk' THEN amount END), 0) AS milk,
-       COALESCE(SUM(CASE WHEN item_type='herd_buy' THEN amount END), 0) AS herd_bought,
-       COALESCE(SUM(CASE WHEN item_type='herd_sell' THEN amount END), 0) AS herd_sold,
-       COALESCE(SUM(CASE WHEN item_type='herd_buy' THEN value END), 0) AS herd_buy_cost,
-       COALESCE(SUM(CASE WHEN item_type='herd_sell' THEN value END), 0) AS herd_sell_revenue
-FROM gathers
-WHERE (@since_ts IS NULL OR ts >= @since_ts)
+// per-item sums; item_type is either a catalogue key or herd_buy / herd_sell.
+// With open_only = 1 these only see the open period: rows tagged with a closed period_id are
+// history (see /period). An explicit time range passes 0 and reads archived rows too (openOnly()).
+const itemTotals = db.prepare(`
+SELECT item_type,
+       COALESCE(SUM(amount), 0) AS amount,
+       COALESCE(SUM(${PRICED_VALUE_SQL}), 0) AS value
+FROM gathers g
+WHERE guild_id = @guild_id
+  AND deleted_at IS NULL
+  AND (@open_only = 0 OR period_id IS NULL)
+  AND (@since_ts IS NULL OR ts >= @since_ts)
+  AND (@until_ts IS NULL OR ts < @until_ts)
+  AND (@ranch_id IS NULL OR ranch_id = @ranch_id)
+  AND (@discord_id IS NULL OR discord_id = @discord_id)
+GROUP BY item_type
+`);
+
+// same, split per collector — fold with collectUserTotals()
+const userItemTotals = db.prepare(`
+SELECT discord_id, item_type,
+       COALESCE(SUM(amount), 0) AS amount,
+       COALESCE(SUM(${PRICED_VALUE_SQL}), 0) AS value
+FROM gathers g
+WHERE guild_id = @guild_id
+  AND deleted_at IS NULL
+  AND (@open_only = 0 OR period_id IS NULL)
+  AND (@since_ts IS NULL OR ts >= @since_ts)
+  AND (@until_ts IS NULL OR ts < @until_ts)
   AND (@ranch_id IS NULL OR ranch_id = @ranch_id)
   AND discord_id IS NOT NULL
-GROUP BY discord_id
-LIMIT @limit
-`);
-
-const weeklyPerUser = db.prepare(`
-SELECT discord_id,
-       COALESCE(SUM(CASE WHEN item_type='eggs' THEN amount END), 0) AS eggs,
-       COALESCE(SUM(CASE WHEN item_type='milk' THEN amount END), 0) AS milk,
-       COALESCE(SUM(CASE WHEN item_type='herd_buy' THEN amount END), 0) AS herd_bought,
-       COALESCE(SUM(CASE WHEN item_type='herd_sell' THEN amount END), 0) AS herd_sold,
-       COALESCE(SUM(CASE WHEN item_type='herd_buy' THEN value END), 0) AS herd_buy_cost,
-       COALESCE(SUM(CASE WHEN item_type='herd_sell' THEN value END), 0) AS herd_sell_revenue
+GROUP BY discord_id, item_type
+`);
+
+// same, split per ranch (ranch_id NULL = logs without a ranch id) — fold with collectRanchTotals()
+const ranchItemTotals = db.prepare(`
+SELECT ranch_id, item_type,
+       COALESCE(SUM(amount), 0) AS amount,
+       COALESCE(SUM(${PRICED_VALUE_SQL}), 0) AS value
+FROM gathers g
+WHERE guild_id = @guild_id
+  AND deleted_at IS NULL
+  AND (@open_only = 0 OR period_id IS NULL)
+  AND (@since_ts IS NULL OR ts >= @since_ts)
+  AND (@until_ts IS NULL OR ts < @until_ts)
+GROUP BY ranch_id, item_type
+`);
+const ranchCollectors = db.prepare(`
+SELECT ranch_id, COUNT(DISTINCT discord_id) AS collectors
 FROM gathers
-WHERE ts >= @since_ts
+WHERE guild_id = @guild_id
+  AND deleted_at IS NULL
+  AND (@open_only = 0 OR period_id IS NULL)
+  AND (@since_ts IS NULL OR ts >= @since_ts)
+  AND (@until_ts IS NULL OR ts < @until_ts)
+  AND discord_id IS NOT NULL
+GROUP BY ranch_id
+`);
+
+// /export: raw rows and per-user totals by time range, archived periods included
+const exportGathers = db.prepare(`
+SELECT g.id, g.ts, g.discord_id, g.ranch_id, g.item_type, g.subtype, g.amount,
+       ${PRICED_VALUE_SQL} AS value,
+       p.number AS period, g.channel_id, g.message_id, g.event_key
+FROM gathers g
+LEFT JOIN periods p ON p.id = g.period_id
+WHERE g.guild_id = @guild_id
+  AND g.deleted_at IS NULL
+  AND (@since_ts IS NULL OR g.ts >= @since_ts)
+  AND (@until_ts IS NULL OR g.ts < @until_ts)
+  AND (@discord_id IS NULL OR g.discord_id = @discord_id)
+  AND (@item_type IS NULL OR g.item_type = @item_type)
+ORDER BY g.ts, g.id
+`);
+const exportUserItemTotals = db.prepare(`
+SELECT discord_id, item_type,
+       COALESCE(SUM(amount), 0) AS amount,
+       COALESCE(SUM(${PRICED_VALUE_SQL}), 0) AS value
+FROM gathers g
+WHERE guild_id = @guild_id
+  AND deleted_at IS NULL
+  AND (@since_ts IS NULL OR ts >= @since_ts)
+  AND (@until_ts IS NULL OR ts < @until_ts)
+  AND (@discord_id IS NULL OR discord_id = @discord_id)
+  AND (@item_type IS NULL OR item_type = @item_type)
   AND discord_id IS NOT NULL
-GROUP BY discord_id
+GROUP BY discord_id, item_type
+`);
+
+// one member by time range, archived periods included — /stats compares calendar weeks whenever resets ran
+const memberItemTotalsBetween = db.prepare(`
+SELECT item_type,
+       COALESCE(SUM(amount), 0) AS amount,
+       COALESCE(SUM(${PRICED_VALUE_SQL}), 0) AS value
+FROM gathers g
+WHERE guild_id = @guild_id
+  AND discord_id = @discord_id
+  AND deleted_at IS NULL
+  AND ts >= @from_ts AND ts < @to_ts
+GROUP BY item_type
 `);
 
-const deleteSince = db.prepare(`
-  DELETE FROM gathers
-  WHERE ts >= @since_ts
+// every open row logged before the close, however old (legacy rows, backfilled history, a late reset)
+const archiveOpenBefore = db.prepare(`
+  UPDATE gathers SET period_id = @period_id
+  WHERE guild_id = @guild_id
+  AND period_id IS NULL
+  AND deleted_at IS NULL
+  AND ts < @closed_ts
+  AND (@ranch_id IS NULL OR ranch_id = @ranch_id)
+`);
+// where the open period really starts: its oldest row that a close at closed_ts would take
+const openPeriodSpan = db.prepare(`
+  SELECT MIN(ts) AS first_ts, COUNT(*) AS rows FROM gathers
+  WHERE guild_id = @guild_id
+  AND period_id IS NULL
+  AND deleted_at IS NULL
+  AND ts < @closed_ts
   AND (@ranch_id IS NULL OR ranch_id = @ranch_id)
 `);
+// the number the next close gets, both for confirm prompts and for the insert itself
+const nextPeriodNumber = db.prepare(`SELECT COALESCE(MAX(number), 0) + 1 AS number FROM periods WHERE guild_id = @guild_id`);
+const insertPeriod = db.prepare(`
+  INSERT INTO periods (guild_id, number, ranch_id, started_ts, closed_ts, closed_by, snapshot)
+  VALUES (@guild_id, @number, @ranch_id, @started_ts, @closed_ts, @closed_by, @snapshot)
+`);
+const setPeriodGatherCount = db.prepare(`UPDATE periods SET gather_count = @gather_count WHERE id = @id`);
+// the close that would have taken a row logged at ts: the first one after it that covered the row's ranch
+const periodCoveringTs = db.prepare(`
+  SELECT id FROM periods
+  WHERE guild_id = @guild_id
+  AND closed_ts > @ts
+  AND (ranch_id IS NULL OR ranch_id = @ranch_id)
+  ORDER BY closed_ts, id
+  LIMIT 1
+`);
+const setGatherPeriod = db.prepare(`UPDATE gathers SET period_id = @period_id WHERE id = @id`);
+const countPeriodGather = db.prepare(`UPDATE periods SET gather_count = gather_count + 1 WHERE id = @id`);
+const uncountPeriodGather = db.prepare(`UPDATE periods SET gather_count = gather_count - 1 WHERE id = @id`);
+const reopenPeriodGathers = db.prepare(`UPDATE gathers SET period_id = NULL WHERE period_id = @period_id`);
+const deletePeriod = db.prepare(`DELETE FROM periods WHERE id = @id`);
+const getPeriodById = db.prepare(`SELECT * FROM periods WHERE id = @id`);
+const getPeriodByNumber = db.prepare(`SELECT * FROM periods WHERE guild_id = @guild_id AND number = @number`);
+const listPeriods = db.prepare(`
+  SELECT id, number, ranch_id, started_ts, closed_ts, closed_by, gather_count, snapshot FROM periods
+  WHERE guild_id = @guild_id
+  ORDER BY number DESC
+  LIMIT @limit
+`);
 
-const addSubscriber = db.prepare(`INSERT OR REPLACE INTO report_subscribers (discord_id) VALUES (@discord_id)`);
-const removeSubscriber = db.prepare(`DELETE FROM report_subscribers WHERE discord_id = @discord_id`);
-const listSubscribers = db.prepare(`SELECT discord_id FROM report_subscribers`);
+// (re)subscribing also un-pauses
+const addSubscriber = db.prepare(`
+  INSERT OR REPLACE INTO report_subscribers (guild_id, discord_id, format, scope, top_n, frequency, ranch_id, paused_at, pause_reason)
+  VALUES (@guild_id, @discord_id, @format, @scope, @top_n, @frequency, @ranch_id, NULL, NULL)
+`);
+const getSubscriber = db.prepare(`SELECT * FROM report_subscribers WHERE guild_id = @guild_id AND discord_id = @discord_id`);
+const removeSubscriber = db.prepare(`DELETE FROM report_subscribers WHERE guild_id = @guild_id AND discord_id = @discord_id`);
+const listActiveSubscribers = db.prepare(`SELECT * FROM report_subscribers WHERE guild_id = @guild_id AND frequency = @frequency AND paused_at IS NULL`);
+const countSubscribers = db.prepare(`SELECT COUNT(*) AS total, COUNT(paused_at) AS paused FROM report_subscribers WHERE guild_id = @guild_id`);
+const pauseSubscriber = db.prepare(`UPDATE report_subscribers SET paused_at = @paused_at, pause_reason = @pause_reason WHERE guild_id = @guild_id AND discord_id = @discord_id`);
+const insertParseFailure = db.prepare(`
+  INSERT OR IGNORE INTO parse_failures (guild_id, ts, channel_id, message_id, text, reason, actor, message)
+  VALUES (@guild_id, @ts, @channel_id, @message_id, @text, @reason, @actor, @message)
+`);
+const listParseFailures = db.prepare(`
+  SELECT id, ts, channel_id, message_id, text, status, reason, actor FROM parse_failures
+  WHERE guild_id = @guild_id AND status = 'pending'
+  ORDER BY id DESC
+  LIMIT @limit
+`);
+const getParseFailure = db.prepare(`SELECT * FROM parse_failures WHERE guild_id = @guild_id AND id = @id`);
+const getParseFailureByMessage = db.prepare(`SELECT * FROM parse_failures WHERE guild_id = @guild_id AND message_id = @message_id`);
+const listPendingParseFailures = db.prepare(`SELECT * FROM parse_failures WHERE guild_id = @guild_id AND status = 'pending' ORDER BY id`);
+const countPendingParseFailures = db.prepare(`SELECT COUNT(1) AS cnt FROM parse_failures WHERE guild_id = @guild_id AND status = 'pending'`);
+const setParseFailureStatus = db.prepare(`
+  UPDATE parse_failures SET status = @status, resolved_at = @resolved_at WHERE guild_id = @guild_id AND id = @id
+`);
+const updateParseFailure = db.prepare(`
+  UPDATE parse_failures SET text = @text, message = COALESCE(@message, message), reason = @reason, actor = @actor WHERE guild_id = @guild_id AND id = @id
+`);
+const listItems = db.prepare(`SELECT * FROM items WHERE guild_id = @guild_id ORDER BY sort_order, key`);
+const seedItem = db.prepare(`
+  INSERT OR IGNORE INTO items (guild_id, key, display_name, emoji, unit_price, aliases, sort_order)
+  VALUES (@guild_id, @key, @display_name, @emoji, @unit_price, @aliases, @sort_order)
+`);
+const upsertItem = db.prepare(`
+  INSERT INTO items (guild_id, key, display_name, emoji, unit_price, aliases, sort_order, active)
+  VALUES (@guild_id, @key, @display_name, @emoji, @unit_price, @aliases, @sort_order, 1)
+  ON CONFLICT(guild_id, key) DO UPDATE SET display_name = @display_name, emoji = @emoji, aliases = @aliases, active = 1
+`);
+const setItemActive = db.prepare(`UPDATE items SET active = @active WHERE guild_id = @guild_id AND key = @key`);
+const insertPrice = db.prepare(`
+  INSERT INTO prices (guild_id, kind, key, price, effective_ts, set_by, set_at)
+  VALUES (@guild_id, @kind, @key, @price, @effective_ts, @set_by, @set_at)
+`);
+const getPriceAt = db.prepare(`
+  SELECT price, effective_ts FROM prices
+  WHERE kind = @kind AND key = @key AND effective_ts <= @ts
+    AND (guild_id = @guild_id OR guild_id IS NULL)
+  ORDER BY (guild_id IS NULL), effective_ts DESC, id DESC
+  LIMIT 1
+`);
+const listCurrentPrices = db.prepare(`
+  SELECT p.kind, p.key, p.price, p.effective_ts, p.guild_id FROM prices p
+  WHERE (@kind IS NULL OR p.kind = @kind)
+    AND p.id = (
+      SELECT p2.id FROM prices p2
+      WHERE p2.kind = p.kind AND p2.key = p.key AND p2.effective_ts <= @now
+        AND (p2.guild_id = @guild_id OR p2.guild_id IS NULL)
+      ORDER BY (p2.guild_id IS NULL), p2.effective_ts DESC, p2.id DESC
+      LIMIT 1
+    )
+  ORDER BY p.kind, p.key
+`);
+const listPriceHistory = db.prepare(`
+  SELECT id, price, effective_ts, set_by, set_at, guild_id FROM prices
+  WHERE kind = @kind AND key = @key
+    AND (guild_id = @guild_id OR guild_id IS NULL)
+  ORDER BY (guild_id IS NULL), effective_ts DESC, id DESC
+  LIMIT 25
+`);
+const listRanches = db.prepare(`SELECT ranch_id, name FROM ranches WHERE guild_id = @guild_id ORDER BY ranch_id`);
+const upsertRanch = db.prepare(`
+  INSERT INTO ranches (guild_id, ranch_id, name, registered_by, created_at) VALUES (@guild_id, @ranch_id, @name, @registered_by, @created_at)
+  ON CONFLICT(guild_id, ranch_id) DO UPDATE SET name = @name
+`);
+const deleteRanch = db.prepare(`DELETE FROM ranches WHERE guild_id = @guild_id AND ranch_id = @ranch_id`);
+const getRanchByName = db.prepare(`SELECT ranch_id, name FROM ranches WHERE guild_id = @guild_id AND name = @name`);
+const getRanch = db.prepare(`SELECT ranch_id, name, registered_by, created_at FROM ranches WHERE guild_id = @guild_id AND ranch_id = @ranch_id`);
+const getGuildConfig = db.prepare(`SELECT * FROM guild_config WHERE guild_id = @guild_id`);
+const listGuildConfigs = db.prepare(`SELECT * FROM guild_config`);
+const ensureGuildConfig = db.prepare(`
+  INSERT OR IGNORE INTO guild_config (guild_id, configured_by, created_at) VALUES (@guild_id, @configured_by, @created_at)
+`);
+const setGuildRolloverChannel = db.prepare(`UPDATE guild_config SET rollover_channel_id = @rollover_channel_id WHERE guild_id = @guild_id`);
+const setGuildAuditChannel = db.prepare(`UPDATE guild_config SET audit_channel_id = @audit_channel_id WHERE guild_id = @guild_id`);
+const setGuildTimezone = db.prepare(`UPDATE guild_config SET timezone = @timezone WHERE guild_id = @guild_id`);
+const addListenChannel = db.prepare(`
+  INSERT INTO listen_channels (channel_id, guild_id, added_by, created_at) VALUES (@channel_id, @guild_id, @added_by, @created_at)
+  ON CONFLICT(channel_id) DO UPDATE SET guild_id = @guild_id
+`);
+const removeListenChannel = db.prepare(`DELETE FROM listen_channels WHERE guild_id = @guild_id AND channel_id = @channel_id`);
+const getListenChannel = db.prepare(`SELECT channel_id, guild_id FROM listen_channels WHERE channel_id = @channel_id`);
+const listListenChannels = db.prepare(`SELECT channel_id FROM listen_channels WHERE guild_id = @guild_id ORDER BY created_at`);
+const insertAuditLog = db.prepare(`
+  INSERT INTO audit_log (guild_id, actor, action, params, affected, ts) VALUES (@guild_id, @actor, @action, @params, @affected, @ts)
+`);
+const listAuditLog = db.prepare(`
+  SELECT * FROM audit_log
+  WHERE guild_id = @guild_id
+    AND (@actor IS NULL OR actor = @actor)
+    AND (@action IS NULL OR action = @action OR action LIKE @action || '.%')
+  ORDER BY id DESC
+  LIMIT @limit
+`);
+const grantRoleCapability = db.prepare(`
+  INSERT OR IGNORE INTO role_capabilities (guild_id, role_id, capability, granted_by, granted_at)
+  VALUES (@guild_id, @role_id, @capability, @granted_by, @granted_at)
+`);
+const getRoleCapability = db.prepare(`SELECT * FROM role_capabilities WHERE guild_id = @guild_id AND role_id = @role_id AND capability = @capability`);
+const revokeRoleCapability = db.prepare(`DELETE FROM role_capabilities WHERE guild_id = @guild_id AND role_id = @role_id AND capability = @capability`);
+const listRoleCapabilities = db.prepare(`SELECT * FROM role_capabilities WHERE guild_id = @guild_id ORDER BY capability, granted_at`);
+// roles is a JSON array of role ids
+const rolesHaveCapability = db.prepare(`
+  SELECT 1 FROM role_capabilities
+  WHERE guild_id = @guild_id AND capability = @capability AND role_id IN (SELECT value FROM json_each(@roles))
+  LIMIT 1
+`);
+const getCharacterLink = db.prepare(`SELECT * FROM character_links WHERE guild_id = @guild_id AND name_key = @name_key`);
+const setCharacterLink = db.prepare(`
+  INSERT INTO character_links (guild_id, name_key, name, discord_id, linked_by, linked_at)
+  VALUES (@guild_id, @name_key, @name, @discord_id, @linked_by, @linked_at)
+  ON CONFLICT(guild_id, name_key) DO UPDATE SET name = excluded.name, discord_id = excluded.discord_id, linked_by = excluded.linked_by, linked_at = excluded.linked_at
+`);
+const deleteCharacterLink = db.prepare(`DELETE FROM character_links WHERE guild_id = @guild_id AND name_key = @name_key`);
+const listCharacterLinks = db.prepare(`
+  SELECT * FROM character_links
+  WHERE guild_id = @guild_id AND (@discord_id IS NULL OR discord_id = @discord_id)
+  ORDER BY name COLLATE NOCASE
+`);
+const insertBackfillJob = db.prepare(`
+  INSERT INTO backfill_jobs (guild_id, since_ts, until_ts, max_messages, started_by, started_at)
+  VALUES (@guild_id, @since_ts, @until_ts, @max_messages, @started_by, @started_at)
+`);
+const insertBackfillJobChannel = db.prepare(`INSERT INTO backfill_job_channels (job_id, channel_id, before_id) VALUES (@job_id, @channel_id, @before_id)`);
+const getBackfillJob = db.prepare(`SELECT * FROM backfill_jobs WHERE id = @id`);
+const getLatestBackfillJob = db.prepare(`SELECT * FROM backfill_jobs WHERE guild_id = @guild_id ORDER BY id DESC LIMIT 1`);
+const getRunningBackfillJob = db.prepare(`SELECT * FROM backfill_jobs WHERE guild_id = @guild_id AND status = 'running' ORDER BY id LIMIT 1`);
+const listRunningBackfillJobs = db.prepare(`SELECT * FROM backfill_jobs WHERE status = 'running' ORDER BY id`);
+const listBackfillJobChannels = db.prepare(`SELECT * FROM backfill_job_channels WHERE job_id = @job_id ORDER BY rowid`);
+const saveBackfillJobChannel = db.prepare(`
+  UPDATE backfill_job_channels
+  SET status = @status, before_id = @before_id, scanned = @scanned, inserted = @inserted, duplicates = @duplicates, oldest_ts = @oldest_ts, error = @error
+  WHERE job_id = @job_id AND channel_id = @channel_id
+`);
+// only a running job can finish, so a cancel is never overwritten by the runner
+const finishBackfillJob = db.prepare(`UPDATE backfill_jobs SET status = @status, finished_at = @finished_at, error = @error WHERE id = @id AND status = 'running'`);
+const setBackfillProgressMessage = db.prepare(`UPDATE backfill_jobs SET progress_channel_id = @channel_id, progress_message_id = @message_id WHERE id = @id`);
+const insertDestructiveOp = db.prepare(`
+  INSERT INTO destructive_ops (guild_id, kind, summary, payload, performed_by, performed_at)
+  VALUES (@guild_id, @kind, @summary, @payload, @performed_by, @performed_at)
+`);
+const listDestructiveOps = db.prepare(`
+  SELECT id, kind, summary, performed_by, performed_at, restored_by, restored_at FROM destructive_ops
+  WHERE guild_id = @guild_id
+  ORDER BY id DESC
+  LIMIT @limit
+`);
+const getDestructiveOp = db.prepare(`SELECT * FROM destructive_ops WHERE guild_id = @guild_id AND id = @id`);
+const markDestructiveOpRestored = db.prepare(`
+  UPDATE destructive_ops SET restored_by = @restored_by, restored_at = @restored_at WHERE id = @id AND restored_at IS NULL
+`);
+const listReportDestinations = db.prepare(`SELECT * FROM report_destinations WHERE guild_id = @guild_id ORDER BY id`);
+const getReportDestination = db.prepare(`SELECT * FROM report_destinations WHERE guild_id = @guild_id AND id = @id`);
+const addReportDestination = db.prepare(`
+  INSERT OR IGNORE INTO report_destinations (guild_id, kind, target, added_by, created_at) VALUES (@guild_id, @kind, @target, @added_by, @created_at)
+`);
+const restoreReportDestination = db.prepare(`
+  INSERT INTO report_destinations (id, guild_id, kind, target, added_by, created_at) VALUES (@id, @guild_id, @kind, @target, @added_by, @created_at)
+`);
+const findReportDestination = db.prepare(`SELECT * FROM report_destinations WHERE guild_id = @guild_id AND kind = @kind AND target = @target`);
+const deleteReportDestination = db.prepare(`DELETE FROM report_destinations WHERE guild_id = @guild_id AND id = @id`);
+const insertReportDelivery = db.prepare(`
+  INSERT INTO report_deliveries (guild_id, destination_id, recipient, attempt, ok, http_status, error, ts)
+  VALUES (@guild_id, @destination_id, @recipient, @attempt, @ok, @http_status, @error, @ts)
+`);
+const lastReportDelivery = db.prepare(`SELECT * FROM report_deliveries WHERE destination_id = @destination_id ORDER BY id DESC LIMIT 1`);
+const listSchedules = db.prepare(`SELECT * FROM schedules WHERE guild_id = @guild_id ORDER BY name`);
+const listAllSchedules = db.prepare(`
+  SELECT s.*, c.timezone FROM schedules s
+  JOIN guild_config c ON c.guild_id = s.guild_id
+  ORDER BY s.id
+`);
+const getScheduleByName = db.prepare(`SELECT * FROM schedules WHERE guild_id = @guild_id AND name = @name`);
+const upsertSchedule = db.prepare(`
+  INSERT INTO schedules (guild_id, name, cron, job, created_by, created_at) VALUES (@guild_id, @name, @cron, @job, @created_by, @created_at)
+  ON CONFLICT(guild_id, name) DO UPDATE SET cron = @cron, job = @job
+`);
+const restoreSchedule = db.prepare(`
+  INSERT INTO schedules (id, guild_id, name, cron, job, created_by, created_at) VALUES (@id, @guild_id, @name, @cron, @job, @created_by, @created_at)
+`);
+const deleteSchedule = db.prepare(`DELETE FROM schedules WHERE guild_id = @guild_id AND id = @id`);
 const getMeta = db.prepare(`SELECT value FROM meta WHERE key = @key`);
 const setMeta = db.prepare(`
   INSERT INTO meta (key, value) VALUES (@key, @value)
@@ -158,690 +925,3435 @@ const setMeta = db.prepare(`
 `);
 
 // ----------------- Settings -----------------
-const DUPLICATE_WINDOW_MS = 10 * 1000; // 10s
+const DUPLICATE_WINDOW_MS = 10 * 1000; // default dedupe window when a guild has no rule (see /duplicates rule)
 const DEFAULT_WEEKDAY = 1; // Mon
 const DEFAULT_HOUR = 9;
 const DEFAULT_MINUTE = 0;
+const DEFAULT_TIMEZONE = "America/Toronto"; // until a guild picks one with /setup timezone
 
 // ----------------- Time helpers -----------------
-function parseSinceToTs(since) {
-  if (!since) return null;
-  const m = since.trim().match(/^(\d+)\s*(h|d)$/i);
-  if (!m) return null;
-  const n = Number(m[1]);
-  const unit = m[2].toLowerCase();
-  const ms = unit === "h" ? n * 60 * 60 * 1000 : n * 24 * 60 * 60 * 1000;
-  return Date.now() - ms;
-}
 function sevenDaysAgoTs() {
   return Date.now() - 7 * 24 * 60 * 60 * 1000;
 }
-function getTorontoDateParts() {
-  const now = new Date();
-  const opts = { timeZone: "America/Toronto", hour12: false, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit" };
-  const s = now.toLocaleString("en-CA", opts);
-  const parts = s.split(",");
-  const datePart = (parts[0] || "").trim();
-  const timePart = (parts[1] || "").trim();
-  const ymd = datePart.split("-");
-  const hourMin = timePart.split(":");
-  const year = Number(ymd[0]);
-  const month = Number(ymd[1]);
-  const day = Number(ymd[2]);
-  const hour = Number(hourMin[0]);
-  const minute = Number(hourMin[1]);
-  const weekdayStr = now.toLocaleString("en-US", { timeZone: "America/Toronto", weekday: "long" });
-  const weekdayMap = { "Sunday":0, "Monday":1, "Tuesday":2, "Wednesday":3, "Thursday":4, "Friday":5, "Saturday":6 };
-  const weekday = weekdayMap[weekdayStr] !== undefined ? weekdayMap[weekdayStr] : new Date().getUTCDay();
-  return { year, month, day, hour, minute, weekday };
-}
-function isReportTime(nowParts, scheduledWeekday, scheduledHour, scheduledMinute) {
-  if (!nowParts) return false;
-  return nowParts.weekday === scheduledWeekday && nowParts.hour === scheduledHour && nowParts.minute === scheduledMinute;
-}
-function getScheduleMeta() {
-  const ms = getMeta.get({ key: "report_schedule" });
-  if (!ms || !ms.value) return { weekday: DEFAULT_WEEKDAY, hour: DEFAULT_HOUR, minute: DEFAULT_MINUTE };
-  try {
-    const o = JSON.parse(ms.value);
-    return { weekday: Number(o.weekday), hour: Number(o.hour), minute: Number(o.minute) };
-  } catch (e) {
-    return { weekday: DEFAULT_WEEKDAY, hour: DEFAULT_HOUR, minute: DEFAULT_MINUTE };
+function isValidTimezone(tz) {
+  try { new Intl.DateTimeFormat("en-US", { timeZone: tz }); return true; } catch (e) { return false; }
+}
+// wall-clock parts of ts in tz; weekday 0=Sunday..6=Saturday
+const zonedPartsFormatters = new Map(); // tz -> Intl.DateTimeFormat (the scheduler calls this a lot)
+function getZonedDateParts(tz, ts = Date.now()) {
+  if (!zonedPartsFormatters.has(tz)) {
+    zonedPartsFormatters.set(tz, new Intl.DateTimeFormat("en-US", { timeZone: tz, hourCycle: "h23", weekday: "short", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit" }));
   }
+  const parts = zonedPartsFormatters.get(tz).formatToParts(new Date(ts));
+  const get = (type) => (parts.find(p => p.type === type) || {}).value;
+  const weekday = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(get("weekday"));
+  return { year: Number(get("year")), month: Number(get("month")), day: Number(get("day")), hour: Number(get("hour")), minute: Number(get("minute")), weekday };
 }
-function setScheduleMeta(weekday, hour, minute) {
-  setMeta.run({ key: "report_schedule", value: JSON.stringify({ weekday, hour, minute }) });
+// ms timestamp -> "2026-10-05" in tz
+function formatZonedDate(tz, ts) {
+  return new Date(ts).toLocaleDateString("en-CA", { timeZone: tz });
 }
-
-// ----------------- Parsing helpers -----------------
-function extractDiscordId(text) {
-  if (!text) return null;
-  const m = text.match(/<@!?(\d{17,20})>/);
-  return m ? m[1] : null;
+// ms to add to a UTC instant to get the wall-clock time in tz at that instant
+function tzOffsetMs(tz, ts) {
+  const parts = new Intl.DateTimeFormat("en-US", { timeZone: tz, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit" }).formatToParts(new Date(ts));
+  const get = (type) => Number((parts.find(p => p.type === type) || {}).value);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - Math.floor(ts / 1000) * 1000;
 }
-function extractActorName(text) {
-  if (!text) return null;
-  const br = text.match(/^\[([^\]]{1,64})\]/) || text.match(/\[([^\]]{1,64})\]/);
-  if (br) return br[1].trim();
-  const pipe = text.match(/^([^|\n]{1,64})\s*\|/);
-  if (pipe) return pipe[1].trim();
-  return null;
+// wall-clock date/time in tz -> ms timestamp (month is 1-12; out-of-range days/months roll over)
+function zonedTimeToTs(tz, year, month, day, hour = 0, minute = 0) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const first = wall - tzOffsetMs(tz, wall);
+  return wall - tzOffsetMs(tz, first); // second pass settles DST transitions
 }
-function extractRanchId(text) {
-  if (!text) return null;
-  const m = text.match(/ranch\s*id\s*[:#]?\s*(\d+)/i) || text.match(/\branch\s*(\d+)/i);
-  return m ? Number(m[1]) : null;
+// "2026-10-01" or "2026-10-01 18:30" in tz -> { ts, dateOnly }, or null if malformed
+function parseDateParts(str, tz) {
+  const m = String(str).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2}))?$/);
+  if (!m) return null;
+  const [year, month, day, hour, minute] = [m[1], m[2], m[3], m[4] || 0, m[5] || 0].map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+  return { ts: zonedTimeToTs(tz, year, month, day, hour, minute), dateOnly: !m[4], year, month, day };
+}
+// "2026-10-01" or "2026-10-01 18:30" in tz -> ms timestamp, or null if malformed
+function parseDateInput(str, tz = DEFAULT_TIMEZONE) {
+  if (!str) return null;
+  const d = parseDateParts(str, tz);
+  return d ? d.ts : null;
 }
 
-// parse gathers: milk/eggs OR herd buy/sell (buys priced from HERD_PRICES)
-function parseGather(text) {
-  if (!text) return null;
-  const uid = extractDiscordId(text);
-  const actor = extractActorName(text);
-  const ranchId = extractRanchId(text);
-  const t = text.replace(/\s+/g, " ").trim();
+const TIME_RANGE_HELP = 'Use 24h, 7d, 2w, 3mo, a date like 2026-10-01 (optionally "2026-10-01 18:30"), or today, yesterday, this_week, last_week, this_month, last_month.';
 
-  // milk / eggs pattern
-  const near = t.match(/(\d+)\s*(eggs?|milk)\b/i);
-  if (near) {
-    const amount = Number(near[1]);
-    const itemRaw = near[2].toLowerCase();
-    const item_type = itemRaw.indexOf("milk") === 0 ? "milk" : "eggs";
-    return { discord_id: uid, actor, ranch_id: ranchId, item_type, amount, value: 0, subtype: null };
-  }
-
-  // herd buy/sell pattern simplified:
-  // matches "bought 5 Bison" or "sold 4 Bison ... for 960.0$"
-  const herd = t.match(/\b(bought|sold)\b\s+(\d+)\s+([A-Za-z]+)\b/i);
-  if (herd) {
-    const action = herd[1].toLowerCase();
-    const qty = parseInt(herd[2], 10);
-    const animal = herd[3].toLowerCase();
-    let value = 0;
-    if (action === "bought") {
-      // calculate buy cost from config
-      const per = HERD_PRICES[animal] || 0;
-      value = qty * per;
-    } else {
-      // for sells, try to extract the sale amount (if present)
-      const saleMatch = t.match(/for\s+\$?([\d,\.]+)\$?/i);
-      if (saleMatch) value = parseFloat(saleMatch[1].replace(/,/g,""));
-    }
-    return {
-      discord_id: uid,
-      actor,
-      ranch_id: ranchId,
-      item_type: action === "bought" ? "herd_buy" : "herd_sell",
-      amount: qty,
-      value,
-      subtype: animal
-    };
+/**
+ * parseTimePoint(str, tz, now)
+ * One side of a range -> { start, end, named } or null when unreadable.
+ * - "24h" / "7d" / "2w" / "3mo": that long before now (start = end).
+ * - "2026-10-01": that whole day; "2026-10-01 18:30": that minute (start = end).
+ * - named periods (weeks start Monday): their [start, end) with named = true.
+ */
+function parseTimePoint(str, tz, now) {
+  const s = String(str).trim().toLowerCase();
+  const p = getZonedDateParts(tz, now);
+  const rel = s.match(/^(\d+)\s*(h|d|w|mo)$/);
+  if (rel) {
+    const n = Number(rel[1]);
+    const unitMs = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 }[rel[2]];
+    const ts = unitMs ? now - n * unitMs : zonedTimeToTs(tz, p.year, p.month - n, p.day, p.hour, p.minute);
+    return { start: ts, end: ts, named: false };
   }
+  const date = parseDateParts(s, tz);
+  if (date) return { start: date.ts, end: date.dateOnly ? zonedTimeToTs(tz, date.year, date.month, date.day + 1) : date.ts, named: false };
+  const dayStart = (offset) => zonedTimeToTs(tz, p.year, p.month, p.day + offset);
+  const monday = -((p.weekday + 6) % 7);
+  const named = {
+    today: [dayStart(0), dayStart(1)],
+    yesterday: [dayStart(-1), dayStart(0)],
+    this_week: [dayStart(monday), dayStart(monday + 7)],
+    last_week: [dayStart(monday - 7), dayStart(monday)],
+    this_month: [zonedTimeToTs(tz, p.year, p.month, 1), zonedTimeToTs(tz, p.year, p.month + 1, 1)],
+    last_month: [zonedTimeToTs(tz, p.year, p.month - 1, 1), zonedTimeToTs(tz, p.year, p.month, 1)]
+  }[s.replace(/[\s-]+/g, "_")];
+  return named ? { start: named[0], end: named[1], named: true } : null;
+}
 
-  return null;
+/**
+ * parseTimeRange(since, until, tz)
+ * - since alone: from that point to now; a named period alone ("last_week") is just that period.
+ * - until: up to that point (a whole date counts up to the end of that day).
+ * Returns { sinceTs, untilTs, label } (null = unbounded) or { error } — never silently all-time.
+ */
+function parseTimeRange(since, until, tz = DEFAULT_TIMEZONE) {
+  const now = Date.now();
+  const from = since ? parseTimePoint(since, tz, now) : null;
+  if (since && !from) return { error: `Couldn't read since "${since}". ${TIME_RANGE_HELP}` };
+  const to = until ? parseTimePoint(until, tz, now) : null;
+  if (until && !to) return { error: `Couldn't read until "${until}". ${TIME_RANGE_HELP}` };
+
+  const sinceTs = from ? from.start : null;
+  const untilTs = to ? to.end : (from && from.named ? from.end : null);
+  if (sinceTs !== null && untilTs !== null && sinceTs >= untilTs) return { error: "The range is empty: since must be before until." };
+
+  const fmt = (ts) => formatZonedDate(tz, ts);
+  let label = "all-time";
+  if (from && from.named && !until) label = `${since.trim().toLowerCase().replace(/[\s-]+/g, "_")} (${fmt(sinceTs)} → ${fmt(untilTs - 1)})`;
+  else if (sinceTs !== null && untilTs !== null) label = `${fmt(sinceTs)} → ${fmt(untilTs - 1)}`;
+  else if (sinceTs !== null) label = `since ${since.trim()}`;
+  else if (untilTs !== null) label = `until ${fmt(untilTs - 1)}`;
+  return { sinceTs, untilTs, label };
+}
+// an explicit since/until covers every row in that window, archived periods included;
+// without one, totals show the current (open) period
+function openOnly(sinceTs, untilTs) {
+  return sinceTs == null && untilTs == null ? 1 : 0;
+}
+function guildTimezone(guildId) {
+  const cfg = guildId ? getGuildConfig.get({ guild_id: guildId }) : null;
+  return (cfg && cfg.timezone) || DEFAULT_TIMEZONE;
 }
 
-// ----------------- Helper: get server display name (nickname) -----------------
-async function getDisplayNameForGuild(uid, guild) {
-  if (!uid) return "Unknown";
-  if (guild && guild.members && typeof guild.members.fetch === "function") {
-    try {
-      const member = await guild.members.fetch(uid).catch(() => null);
-      if (member && member.displayName) return member.displayName;
-    } catch (e) {}
+// ----------------- Item catalogue -----------------
+// cached copy of each guild's items table; call reloadItemCatalogue(guildId) after editing it
+const itemCatalogues = new Map(); // guildId -> { items, aliasMap, aliasRegex }
+
+function buildCatalogue(items) {
+  const aliasMap = new Map(); // alias word -> item key
+  for (const it of items) {
+    if (!it.active) continue;
+    const words = [it.key, ...String(it.aliases || "").split(",")].map(w => w.trim().toLowerCase()).filter(Boolean);
+    for (const w of words) if (!aliasMap.has(w)) aliasMap.set(w, it.key);
   }
-  try {
-    const u = await client.users.fetch(uid).catch(() => null);
-    if (u) return u.username + (u.discriminator ? ("#" + u.discriminator) : "");
-  } catch (e) {}
-  return uid;
+  // longest alias first so "feathers" wins over "feather"
+  const alts = Array.from(aliasMap.keys()).sort((a, b) => b.length - a.length).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const aliasRegex = alts.length ? new RegExp(`(\\d+)\\s*(${alts.join("|")})\\b`, "i") : null;
+  return { items, aliasMap, aliasRegex };
 }
+const defaultCatalogue = buildCatalogue(DEFAULT_ITEMS);
 
-// ----------------- Message listener -----------------
-client.on("messageCreate", async (message) => {
-  try {
-    console.log("MSG:", "channelId=", message.channelId, "isWebhook=", !!message.webhookId, "contentLen=", (message.content || "").length, "embeds=", (message.embeds && message.embeds.length) ? message.embeds.length : 0);
-    if (message.channelId !== listenChannelId) return;
-
-    let text = message.content || "";
-    if ((!text || text.trim() === "") && message.embeds && message.embeds.length > 0) {
-      const e = message.embeds[0];
-      const fields = (e.fields || []).map(f => `${f.name} ${f.value}`).join(" ");
-      text = [e.title || "", e.description || "", fields].join(" ").trim();
+// a guild's catalogue, seeding DEFAULT_ITEMS the first time it is used; no guild = the defaults
+function itemCatalogue(guildId) {
+  if (!guildId) return defaultCatalogue;
+  if (!itemCatalogues.has(guildId)) {
+    let items = listItems.all({ guild_id: guildId });
+    if (items.length === 0) {
+      db.transaction(() => { for (const it of DEFAULT_ITEMS) seedItem.run({ ...it, guild_id: guildId }); })();
+      items = listItems.all({ guild_id: guildId });
     }
+    itemCatalogues.set(guildId, buildCatalogue(items));
+  }
+  return itemCatalogues.get(guildId);
+}
+function reloadItemCatalogue(guildId) {
+  itemCatalogues.delete(guildId);
+}
 
-    console.log("TEXT_USED:", text);
-    const parsed = parseGather(text);
-    if (!parsed) {
-      console.log("PARSE_FAIL");
-      return;
-    }
+// the catalogue item a word names ("egg" -> "eggs"), or null
+function resolveItemAlias(guildId, word) {
+  return itemCatalogue(guildId).aliasMap.get(String(word || "").trim().toLowerCase()) || null;
+}
 
-    // require mention to identify user
-    if (!parsed.discord_id) {
-      if (parsed.actor && /^unknown$/i.test(parsed.actor.trim())) {
-        console.log("SKIP_UNKNOWN_ACTOR");
-        return;
-      }
-      console.log("SKIP_NO_MENTION");
-      return;
-    }
+function activeItems(guildId) {
+  return itemCatalogue(guildId).items.filter(it => it.active);
+}
+function itemLabel(guildId, key) {
+  const it = itemCatalogue(guildId).items.find(i => i.key === key);
+  return it ? `${it.emoji ? it.emoji + " " : ""}${it.display_name}` : key;
+}
 
-    // duplicate suppression
-    const sinceTs = Date.now() - DUPLICATE_WINDOW_MS;
-    const dupRow = countRecentDuplicate.get({
-      channel_id: message.channelId,
-      item_type: parsed.item_type,
-      amount: parsed.amount,
-      discord_id: parsed.discord_id || null,
-      since_ts: sinceTs
-    });
-    if (dupRow && dupRow.cnt && dupRow.cnt > 0) {
-      console.log("DUPLICATE_SKIPPED");
-      return;
-    }
-
-    // insert
-    insertGather.run({
-      ts: Date.now(),
-      channel_id: message.channelId,
-      message_id: message.id,
-      discord_id: parsed.discord_id,
-      ranch_id: parsed.ranch_id,
-      item_type: parsed.item_type,
-      amount: parsed.amount,
-      value: parsed.value || 0,
-      subtype: parsed.subtype || null
-    });
+// ----------------- Price book -----------------
+// price in force for kind/key at ts in a guild, falling back to the defaults (0 when nothing was ever set)
+function priceAt(guildId, kind, key, ts) {
+  const row = getPriceAt.get({ guild_id: guildId || null, kind, key, ts });
+  return row ? Number(row.price) : 0;
+}
+function formatPriceKey(guildId, kind, key) {
+  return kind === "item" ? itemLabel(guildId, key) : `🐄 ${key}`;
+}
 
-    console.log("INSERTED GATHER:", {
-      type: parsed.item_type,
-      amount: parsed.amount,
-      value: parsed.value || 0,
-      subtype: parsed.subtype || null,
-      user: parsed.discord_id,
-      ranch: parsed.ranch_id || "n/a",
-      sample: text.slice(0,200)
-    });
-  } catch (e) {
-    if (String(e).includes("UNIQUE constraint failed")) return;
-    console.error("ERROR in messageCreate:", e);
+// ----------------- Totals & embeds -----------------
+/**
+ * buildTotals(guildId, rows)
+ * - rows: [{ item_type, amount, value }] from itemTotals / userItemTotals (value already priced).
+ * Returns { items: { key: amount }, totalItems, itemsRevenue, herdBought, herdSold,
+ *           herdBuyCost, herdSellRevenue, herdNet, totalRevenue }.
+ */
+function buildTotals(guildId, rows) {
+  const t = { items: {}, totalItems: 0, itemsRevenue: 0, herdBought: 0, herdSold: 0, herdBuyCost: 0, herdSellRevenue: 0, herdNet: 0, totalRevenue: 0 };
+  for (const it of activeItems(guildId)) t.items[it.key] = 0;
+  for (const r of rows || []) {
+    const amount = Number(r.amount || 0);
+    const value = Number(r.value || 0);
+    if (r.item_type === "herd_buy") { t.herdBought += amount; t.herdBuyCost += value; continue; }
+    if (r.item_type === "herd_sell") { t.herdSold += amount; t.herdSellRevenue += value; continue; }
+    t.items[r.item_type] = (t.items[r.item_type] || 0) + amount;
+    t.totalItems += amount;
+    t.itemsRevenue += value;
   }
-});
+  t.herdNet = t.herdSellRevenue - t.herdBuyCost;
+  t.totalRevenue = t.itemsRevenue + t.herdNet;
+  return t;
+}
 
-// ----------------- Send embeds in batches -----------------
-async function sendEmbedsInBatches(target, embeds) {
-  const BATCH_SIZE = 10;
-  if (!embeds || embeds.length === 0) return;
-  const hasReply = target && typeof target.reply === "function" && typeof target.followUp === "function";
-  const hasSend = target && typeof target.send === "function";
+// fold userItemTotals rows into [{ discord_id, ...buildTotals() }] (first-seen order)
+function collectUserTotals(guildId, rows) {
+  const byUser = new Map();
+  for (const r of rows || []) {
+    if (!byUser.has(r.discord_id)) byUser.set(r.discord_id, []);
+    byUser.get(r.discord_id).push(r);
+  }
+  return Array.from(byUser.entries()).map(([discord_id, rs]) => ({ discord_id, ...buildTotals(guildId, rs) }));
+}
 
-  for (let i = 0; i < embeds.length; i += BATCH_SIZE) {
-    const batch = embeds.slice(i, i + BATCH_SIZE);
-    try {
-      if (hasReply) {
+// "🥚 Eggs: **5**  |  🥛 Milk: **3**" in catalogue order (buildTotals seeds active items first)
+function formatItemCounts(guildId, items, { sep = "  |  ", bold = true, showZero = false } = {}) {
+  const parts = Object.keys(items)
+    .filter(key => showZero || items[key])
+    .map(key => `${itemLabel(guildId, key)}: ${bold ? `**${items[key]}**` : items[key]}`);
+  return parts.length ? parts.join(sep) : "No items";
+}
+
+function buildSummaryEmbed(guildId, t, title, { color = 0x2ecc71 } = {}) {
+  return {
+    title,
+    description: `${formatItemCounts(guildId, t.items, { showZero: true })}  |  Total Items: **${t.totalItems}**`,
+    color,
+    fields: [
+      { name: "Items Revenue", value: `$${t.itemsRevenue.toFixed(2)}`, inline: true },
+      { name: "Herd Net", value: `$${t.herdNet.toFixed(2)}`, inline: true },
+      { name: "Total Revenue", value: `$${t.totalRevenue.toFixed(2)}`, inline: false }
+    ],
+    timestamp: new Date().toISOString()
+  };
+}
+
+function buildPersonEmbed(guildId, rank, display, t, { description, color, footer }) {
+  const itemFields = Object.keys(t.items).map(key => ({ name: itemLabel(guildId, key), value: String(t.items[key] || 0), inline: true }));
+  return {
+    title: `${rank}. ${display}`,
+    description: `${description}: **${t.totalItems}**`,
+    color,
+    fields: [
+      ...itemFields,
+      { name: "Items Rev", value: `$${t.itemsRevenue.toFixed(2)}`, inline: true },
+      { name: "Herd Bought", value: String(t.herdBought), inline: true },
+      { name: "Herd Sold", value: String(t.herdSold), inline: true },
+      { name: "Herd Net", value: `$${t.herdNet.toFixed(2)}`, inline: false },
+      { name: "Total Revenue", value: `$${t.totalRevenue.toFixed(2)}`, inline: false }
+    ],
+    footer: { text: footer },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ----------------- Ranches -----------------
+function ranchLabel(guildId, ranchId) {
+  if (ranchId === null || ranchId === undefined) return "No ranch";
+  const r = listRanches.all({ guild_id: guildId }).find(x => x.ranch_id === Number(ranchId));
+  return r ? `${r.name} (#${r.ranch_id})` : `Ranch #${ranchId}`;
+}
+
+// slash option value ("3", "#3" or a registered name) -> { ranch_id } or { error }
+function resolveRanchOption(guildId, input) {
+  if (input === null || input === undefined || String(input).trim() === "") return { ranch_id: null };
+  const s = String(input).trim().replace(/^#/, "");
+  if (/^\d+$/.test(s)) return { ranch_id: Number(s) };
+  const r = getRanchByName.get({ guild_id: guildId, name: s });
+  return r ? { ranch_id: r.ranch_id } : { error: `Unknown ranch "${input}". Use a ranch id or a name from /ranch list.` };
+}
+
+// [{ ranch_id, label, collectors, ...buildTotals() }] ranked by total revenue
+function collectRanchTotals(guildId, since_ts, until_ts = null, open_only = 1) {
+  const byRanch = new Map();
+  for (const r of ranchItemTotals.all({ guild_id: guildId, since_ts, until_ts, open_only })) {
+    if (!byRanch.has(r.ranch_id)) byRanch.set(r.ranch_id, []);
+    byRanch.get(r.ranch_id).push(r);
+  }
+  const collectors = new Map(ranchCollectors.all({ guild_id: guildId, since_ts, until_ts, open_only }).map(r => [r.ranch_id, r.collectors]));
+  return Array.from(byRanch.entries())
+    .map(([ranch_id, rows]) => ({ ranch_id, label: ranchLabel(guildId, ranch_id), collectors: collectors.get(ranch_id) || 0, ...buildTotals(guildId, rows) }))
+    .sort((a, b) => b.totalRevenue - a.totalRevenue);
+}
+
+function buildRanchComparisonEmbed(ranchTotals, title) {
+  return {
+    title,
+    description: ranchTotals.length ? "Ranked by total revenue" : "_No ranch activity._",
+    color: 0x9b59b6,
+    fields: ranchTotals.slice(0, 25).map((r, i) => ({
+      name: `${i + 1}. ${r.label}`,
+      value: `Items: **${r.totalItems}** · Items Rev: $${r.itemsRevenue.toFixed(2)} · Herd Net: $${r.herdNet.toFixed(2)} · Total: **$${r.totalRevenue.toFixed(2)}** · Collectors: ${r.collectors}`,
+      inline: false
+    })),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ----------------- Herd ledger -----------------
+// Animals are tracked per ranch and animal over the whole log, closed periods included (a reset
+// doesn't sell the herd). Buys cost what the price book said when they were logged, sells earn the
+// logged sale amount. Each sale is matched against the average cost of the animals held; animals
+// sold without a recorded purchase are costed at the price book at the time of the sale.
+
+// what one head is worth now: the ranch's last logged sale price per head (any ranch's for
+// rows without one), else the price book
+function herdUnitValue(guildId, ranchId, animal) {
+  const sale = lastHerdSale.get({ guild_id: guildId, ranch_id: ranchId, subtype: animal });
+  if (sale) return { unitValue: sale.value / sale.amount, valueSource: "last sale" };
+  const price = priceAt(guildId, "herd", animal, Date.now());
+  return { unitValue: price, valueSource: price ? "price book" : "no price" };
+}
+
+/**
+ * buildHerdLedger(guildId, { ranch_id, subtype })
+ * - ranch_id / subtype: only that ranch / animal (null for all).
+ * Returns [{ ranch_id, animal, bought, sold, held, buyCost, costBasis, avgCost, revenue, realized,
+ *            unmatched, unitValue, valueSource, unrealizedValue, sales: [...] }] sorted by animal,
+ * then ranch. A sale is { id, ts, discord_id, amount, value, cost, profit, unmatched }.
+ */
+function buildHerdLedger(guildId, { ranch_id = null, subtype = null } = {}) {
+  const ledgers = new Map();
+  for (const m of listHerdMoves.all({ guild_id: guildId, ranch_id, subtype })) {
+    const key = `${m.ranch_id}|${m.subtype}`;
+    if (!ledgers.has(key)) ledgers.set(key, { ranch_id: m.ranch_id, animal: m.subtype, bought: 0, sold: 0, held: 0, buyCost: 0, costBasis: 0, revenue: 0, realized: 0, unmatched: 0, sales: [] });
+    const l = ledgers.get(key);
+    const amount = Number(m.amount || 0);
+    const value = Number(m.value || 0);
+    if (m.item_type === "herd_buy") {
+      l.bought += amount;
+      l.held += amount;
+      l.buyCost += value;
+      l.costBasis += value;
+      continue;
+    }
+    const matched = Math.min(amount, l.held);
+    const avgCost = l.held > 0 ? l.costBasis / l.held : 0;
+    const unmatched = amount - matched;
+    const cost = matched * avgCost + unmatched * priceAt(guildId, "herd", m.subtype, m.ts);
+    l.held -= matched;
+    l.costBasis = l.held > 0 ? l.costBasis - matched * avgCost : 0;
+    l.sold += amount;
+    l.unmatched += unmatched;
+    l.revenue += value;
+    l.realized += value - cost;
+    l.sales.push({ id: m.id, ts: m.ts, discord_id: m.discord_id, amount, value, cost, profit: value - cost, unmatched });
+  }
+  return Array.from(ledgers.values())
+    .map(l => {
+      const unit = herdUnitValue(guildId, l.ranch_id, l.animal);
+      return { ...l, avgCost: l.held > 0 ? l.costBasis / l.held : 0, ...unit, unrealizedValue: l.held * unit.unitValue };
+    })
+    .sort((a, b) => a.animal.localeCompare(b.animal) || (a.ranch_id ?? -1) - (b.ranch_id ?? -1));
+}
+
+function herdLabel(animal) {
+  return `🐄 ${animal.charAt(0).toUpperCase()}${animal.slice(1)}`;
+}
+
+// one embed per animal, one field per ranch
+function buildHerdLedgerEmbeds(guildId, ledger) {
+  const byAnimal = new Map();
+  for (const l of ledger) {
+    if (!byAnimal.has(l.animal)) byAnimal.set(l.animal, []);
+    byAnimal.get(l.animal).push(l);
+  }
+  return Array.from(byAnimal.entries()).map(([animal, rows]) => {
+    const sum = k => rows.reduce((acc, r) => acc + r[k], 0);
+    const held = sum("held");
+    const costBasis = sum("costBasis");
+    const unrealizedValue = sum("unrealizedValue");
+    return {
+      title: `${herdLabel(animal)} — herd ledger`,
+      description: `Held: **${held}** · Avg cost: $${(held ? costBasis / held : 0).toFixed(2)} · Realized: **$${sum("realized").toFixed(2)}** · Unrealized value: $${unrealizedValue.toFixed(2)} (${unrealizedValue - costBasis >= 0 ? "+" : "-"}$${Math.abs(unrealizedValue - costBasis).toFixed(2)} vs cost)`,
+      color: 0x8e5a2b,
+      // 15 ranches keeps the embed under Discord's 6000 characters
+      fields: rows.slice(0, 15).map(r => ({
+        name: ranchLabel(guildId, r.ranch_id),
+        value: [
+          `Held **${r.held}** (bought ${r.bought}, sold ${r.sold}) · avg cost $${r.avgCost.toFixed(2)}/head`,
+          `Realized $${r.realized.toFixed(2)} over ${r.sales.length} sale${r.sales.length === 1 ? "" : "s"}${r.sales.length ? ` (avg $${(r.realized / r.sales.length).toFixed(2)}/sale, revenue $${r.revenue.toFixed(2)})` : ""}`,
+          `Unrealized $${r.unrealizedValue.toFixed(2)} at $${r.unitValue.toFixed(2)}/head (${r.valueSource})`,
+          ...(r.unmatched ? [`⚠️ ${r.unmatched} sold without a logged purchase, costed at the price book`] : [])
+        ].join("\n"),
+        inline: false
+      })),
+      footer: { text: "Buys cost the price book when logged · sales earn the logged amount · unrealized at the last sale price per head, else the price book" },
+      timestamp: new Date().toISOString()
+    };
+  });
+}
+
+function formatHerdSale(animal, s) {
+  return `**#${s.id}** <t:${Math.floor(s.ts / 1000)}:f> · <@${s.discord_id}> · ${herdLabel(animal)} ×${s.amount} for $${s.value.toFixed(2)} · cost $${s.cost.toFixed(2)} · profit **${s.profit < 0 ? "-" : ""}$${Math.abs(s.profit).toFixed(2)}**${s.unmatched ? ` (${s.unmatched} without a logged purchase)` : ""}`;
+}
+
+// ----------------- Periods -----------------
+// totals of the open period (optionally one ranch) from since_ts on, in the shape stored as periods.snapshot
+function buildPeriodSnapshot(guildId, since_ts, ranch_id = null, until_ts = null) {
+  const overall = buildTotals(guildId, itemTotals.all({ guild_id: guildId, since_ts, until_ts, ranch_id, discord_id: null, open_only: 1 }));
+  const users = collectUserTotals(guildId, userItemTotals.all({ guild_id: guildId, since_ts, until_ts, ranch_id, open_only: 1 }));
+  const ranches = collectRanchTotals(guildId, since_ts, until_ts).filter(r => ranch_id === null || r.ranch_id === ranch_id);
+  // per-ranch collectors, for DM subscribers that follow a single ranch
+  const ranchUsers = {};
+  for (const r of ranches) {
+    if (r.ranch_id !== null) ranchUsers[r.ranch_id] = collectUserTotals(guildId, userItemTotals.all({ guild_id: guildId, since_ts, until_ts, ranch_id: r.ranch_id, open_only: 1 }));
+  }
+  return { overall, users, ranches, ranchUsers };
+}
+
+/**
+ * closePeriod(guildId, { since_ts, ranch_id, closed_by, closed_ts })
+ * - snapshots every open row logged before closed_ts (default now), then tags them with the new
+ *   period id. The period starts at its oldest open row (started_ts), so it is labelled by the span it
+ *   really covers; since_ts is only the start of a period with no rows.
+ * - ranch_id: only close that ranch's rows (null = every ranch).
+ * Returns the periods row with its snapshot parsed.
+ */
+function closePeriod(guildId, { since_ts, ranch_id = null, closed_by, closed_ts = Date.now() }) {
+  const { id, auditRow } = db.transaction(() => {
+    // the period takes every open row up to the close, so its snapshot does too
+    const snapshot = buildPeriodSnapshot(guildId, null, ranch_id, closed_ts);
+    const span = openPeriodSpan.get({ guild_id: guildId, closed_ts, ranch_id });
+    const { number } = nextPeriodNumber.get({ guild_id: guildId });
+    const info = insertPeriod.run({ guild_id: guildId, number, ranch_id, started_ts: span.first_ts ?? since_ts, closed_ts, closed_by, snapshot: JSON.stringify(snapshot) });
+    const periodId = Number(info.lastInsertRowid);
+    const tagged = archiveOpenBefore.run({ guild_id: guildId, period_id: periodId, closed_ts, ranch_id });
+    setPeriodGatherCount.run({ id: periodId, gather_count: tagged.changes || 0 });
+    const scope = ranch_id !== null ? ` for ${ranchLabel(guildId, ranch_id)}` : "";
+    recordDestructiveOp(guildId, "reset", { summary: `Closed the week${scope} as period #${number} (${tagged.changes || 0} entries)`, payload: { period_id: periodId }, performed_by: closed_by });
+    const auditRow = recordAudit(guildId, closed_by, "reset", { params: { since_ts, ranch_id }, affected: { rows: tagged.changes || 0, period: number } });
+    return { id: periodId, auditRow };
+  })();
+  // only announce a close that was committed
+  mirrorAudit(auditRow);
+  return loadPeriod(getPeriodById.get({ id }));
+}
+
+// a row stored after the close its ts falls before (backfilled history, an old log linked later)
+// goes to the period that close made rather than into the open one; the stored snapshot is unchanged
+function fileInClosedPeriod(guildId, gatherId, { ts, ranch_id }) {
+  const p = periodCoveringTs.get({ guild_id: guildId, ts, ranch_id });
+  if (!p) return null;
+  setGatherPeriod.run({ id: gatherId, period_id: p.id });
+  countPeriodGather.run({ id: p.id });
+  return p.id;
+}
+
+// an edit that moves a row to another time or ranch takes it out of the period it was filed under
+// and files it again by its new ts: the closed period covering that, else the open one
+function refileGather(guildId, before, after) {
+  if (before.ts === after.ts && before.ranch_id === after.ranch_id) return before.period_id;
+  if (before.period_id !== null) uncountPeriodGather.run({ id: before.period_id });
+  setGatherPeriod.run({ id: after.id, period_id: null });
+  return fileInClosedPeriod(guildId, after.id, after);
+}
+
+function loadPeriod(row) {
+  return row ? { ...row, snapshot: JSON.parse(row.snapshot) } : null;
+}
+
+// "Period #3 · 2026-09-28 → 2026-10-05" (+ ranch when only one ranch was closed)
+function periodLabel(guildId, p) {
+  const ranch = p.ranch_id !== null ? ` · ${ranchLabel(guildId, p.ranch_id)}` : "";
+  const tz = guildTimezone(guildId);
+  return `Period #${p.number} · ${formatZonedDate(tz, p.started_ts)} → ${formatZonedDate(tz, p.closed_ts)}${ranch}`;
+}
+
+// the period a close right now would make, for confirm prompts: "period #4 (2026-09-12 → now, 31 entries)"
+function openPeriodLabel(guildId, ranch_id = null) {
+  const { number } = nextPeriodNumber.get({ guild_id: guildId });
+  const span = openPeriodSpan.get({ guild_id: guildId, closed_ts: Date.now(), ranch_id });
+  if (!span.rows) return `period #${number} (nothing logged yet)`;
+  return `period #${number} (${formatZonedDate(guildTimezone(guildId), span.first_ts)} → now, ${span.rows} entr${span.rows === 1 ? "y" : "ies"})`;
+}
+
+// ----------------- Member stats -----------------
+// "+12.5%" style change; "new" when there was nothing to compare against
+function formatChange(now, before) {
+  if (!before) return now ? "new" : "±0";
+  const pct = ((now - before) / Math.abs(before)) * 100;
+  return `${pct >= 0 ? "+" : ""}${pct.toFixed(1)}%`;
+}
+
+/**
+ * buildMemberStatsEmbed(guildId, discordId, display, range)
+ * - range: parseTimeRange() result.
+ * Window totals (same rules as /totals) plus rank in that window,
+ * last 7 days vs the 7 before, and the member's best closed weekly period.
+ */
+function buildMemberStatsEmbed(guildId, discordId, display, { sinceTs, untilTs, label }) {
+  const open_only = openOnly(sinceTs, untilTs);
+  const t = buildTotals(guildId, itemTotals.all({ guild_id: guildId, since_ts: sinceTs, until_ts: untilTs, ranch_id: null, discord_id: discordId, open_only }));
+  const ranked = collectUserTotals(guildId, userItemTotals.all({ guild_id: guildId, since_ts: sinceTs, until_ts: untilTs, ranch_id: null, open_only }))
+    .sort((a, b) => b.totalRevenue - a.totalRevenue);
+  const pos = ranked.findIndex(u => u.discord_id === discordId);
+
+  const now = Date.now();
+  const week = 7 * 24 * 60 * 60 * 1000;
+  const thisWeek = buildTotals(guildId, memberItemTotalsBetween.all({ guild_id: guildId, discord_id: discordId, from_ts: now - week, to_ts: now + 1 }));
+  const lastWeek = buildTotals(guildId, memberItemTotalsBetween.all({ guild_id: guildId, discord_id: discordId, from_ts: now - 2 * week, to_ts: now - week }));
+
+  // whole-guild periods only; a single-ranch reset is not a full week for anyone
+  let best = null;
+  for (const p of listPeriods.all({ guild_id: guildId, limit: -1 }).map(loadPeriod)) {
+    if (p.ranch_id !== null) continue;
+    const u = p.snapshot.users.find(x => x.discord_id === discordId);
+    if (u && (!best || u.totalRevenue > best.totals.totalRevenue)) best = { period: p, totals: u };
+  }
+
+  const embed = buildPersonEmbed(guildId, pos + 1, display, t, { description: "Items collected", color: 0xf1c40f, footer: `Stats — ${label}` });
+  if (pos < 0) embed.title = display;
+  embed.fields.push(
+    { name: "Rank", value: pos >= 0 ? `#${pos + 1} of ${ranked.length}` : `unranked (${ranked.length} collectors)`, inline: true },
+    { name: "Week over week", value: `Items ${thisWeek.totalItems} vs ${lastWeek.totalItems} (${formatChange(thisWeek.totalItems, lastWeek.totalItems)})\nRevenue $${thisWeek.totalRevenue.toFixed(2)} vs $${lastWeek.totalRevenue.toFixed(2)} (${formatChange(thisWeek.totalRevenue, lastWeek.totalRevenue)})`, inline: false },
+    { name: "Best week", value: best ? `${periodLabel(guildId, best.period)} — ${best.totals.totalItems} items, $${best.totals.totalRevenue.toFixed(2)}` : "No closed weeks yet", inline: false }
+  );
+  const changes = listMemberGatherHistory.all({ guild_id: guildId, discord_id: discordId, limit: 3 });
+  if (changes.length) embed.fields.push({ name: "Manual corrections", value: changes.map(formatGatherChange).join("\n").slice(0, 1024), inline: false });
+  return embed;
+}
+
+// ----------------- Leaderboard -----------------
+const LEADERBOARD_PAGE_SIZE = 10;
+const LEADERBOARD_SORTS = {
+  revenue: { label: "Total revenue", value: t => t.totalRevenue, format: v => `$${v.toFixed(2)}` },
+  items: { label: "Total items", value: t => t.totalItems, format: v => String(v) },
+  herd_net: { label: "Herd net", value: t => t.herdNet, format: v => `$${v.toFixed(2)}` }
+};
+
+// sort key -> { label, value, format }; any active catalogue item key sorts by that item. null if unknown.
+function leaderboardSort(guildId, key) {
+  if (LEADERBOARD_SORTS[key]) return LEADERBOARD_SORTS[key];
+  if (activeItems(guildId).some(it => it.key === key)) return { label: itemLabel(guildId, key), value: t => t.items[key] || 0, format: v => String(v) };
+  return null;
+}
+
+/**
+ * buildLeaderboardPage(guildId, guild, { sort, page, ranchId, sinceTs, untilTs, limit })
+ * One embed with LEADERBOARD_PAGE_SIZE ranked rows plus Previous/Next buttons and a sort menu.
+ * The whole view state travels in the components' custom ids ("lb:..." / "lbsort:...").
+ */
+async function buildLeaderboardPage(guildId, guild, { sort, page, ranchId, sinceTs, untilTs, limit }) {
+  const by = leaderboardSort(guildId, sort) || LEADERBOARD_SORTS.revenue;
+  const ranked = collectUserTotals(guildId, userItemTotals.all({ guild_id: guildId, ranch_id: ranchId, since_ts: sinceTs, until_ts: untilTs, open_only: openOnly(sinceTs, untilTs) }))
+    .sort((a, b) => by.value(b) - by.value(a) || b.totalRevenue - a.totalRevenue || String(a.discord_id).localeCompare(String(b.discord_id)))
+    .slice(0, limit);
+  const pages = Math.max(1, Math.ceil(ranked.length / LEADERBOARD_PAGE_SIZE));
+  const current = Math.min(Math.max(0, page), pages - 1);
+  const start = current * LEADERBOARD_PAGE_SIZE;
+
+  const lines = [];
+  for (const [i, r] of ranked.slice(start, start + LEADERBOARD_PAGE_SIZE).entries()) {
+    const display = await getDisplayNameForGuild(r.discord_id, guild).catch(() => r.discord_id || "Unknown");
+    lines.push(`**${start + i + 1}.** ${display} — ${by.label}: **${by.format(by.value(r))}** · Items ${r.totalItems} · Total $${r.totalRevenue.toFixed(2)}`);
+  }
+
+  const tz = guildTimezone(guildId);
+  const range = sinceTs !== null && untilTs !== null ? `${formatZonedDate(tz, sinceTs)} → ${formatZonedDate(tz, untilTs - 1)}`
+    : sinceTs !== null ? `since ${formatZonedDate(tz, sinceTs)}`
+    : untilTs !== null ? `until ${formatZonedDate(tz, untilTs - 1)}`
+    : "all-time";
+  const scope = [range, ranchId !== null ? ranchLabel(guildId, ranchId) : null].filter(Boolean).join(" • ");
+  const state = `${ranchId ?? ""}:${sinceTs ?? ""}:${untilTs ?? ""}:${limit}`;
+  const embed = {
+    title: `Leaderboard — ${by.label}`,
+    description: lines.join("\n") || "_No collectors yet._",
+    color: 0xe67e22,
+    footer: { text: `${scope} • Page ${current + 1}/${pages} • ${ranked.length} collectors` },
+    timestamp: new Date().toISOString()
+  };
+  const sortOptions = [
+    ...Object.entries(LEADERBOARD_SORTS).map(([value, s]) => ({ label: s.label, value })),
+    ...activeItems(guildId).map(it => ({ label: it.display_name, value: it.key, ...(it.emoji ? { emoji: { name: it.emoji } } : {}) }))
+  ].slice(0, 25).map(o => ({ ...o, default: o.value === sort }));
+  const components = [
+    {
+      type: ComponentType.ActionRow,
+      components: [
+        { type: ComponentType.Button, style: ButtonStyle.Secondary, label: "◀ Previous", custom_id: `lb:${sort}:${current - 1}:${state}`, disabled: current === 0 },
+        { type: ComponentType.Button, style: ButtonStyle.Secondary, label: "Next ▶", custom_id: `lb:${sort}:${current + 1}:${state}`, disabled: current >= pages - 1 }
+      ]
+    },
+    {
+      type: ComponentType.ActionRow,
+      components: [{ type: ComponentType.StringSelect, custom_id: `lbsort:${state}`, placeholder: "Sort by…", options: sortOptions }]
+    }
+  ];
+  return { embeds: [embed], components };
+}
+
+// ----------------- Permissions -----------------
+// what /permissions can grant to a role. Members with Manage Server have every capability, and
+// only they can change grants (the "admin" requirement below is not grantable).
+const CAPABILITIES = {
+  view_reports: "Preview reports, export data and read the audit log",
+  edit_gathers: "Add, edit, delete and import gathers; review unparsed messages",
+  manage_prices: "Manage the item catalogue and prices",
+  reset_periods: "Reset the week and run the weekly report early",
+  manage_reports: "Send reports, manage schedules and report destinations",
+  run_backfill: "Re-scan channel history",
+  configure: "Ranches, bot setup and /undo"
+};
+
+// "command" or "command.subcommand" -> capability; anything not listed is open to everyone
+const COMMAND_CAPABILITIES = {
+  "report.preview": "view_reports",
+  "report.send": "manage_reports",
+  export: "view_reports",
+  audit: "view_reports",
+  gather: "edit_gathers",
+  import: "edit_gathers",
+  parse_failures: "edit_gathers",
+  duplicates: "edit_gathers",
+  "items.add": "manage_prices",
+  "items.remove": "manage_prices",
+  price: "manage_prices",
+  reset_week: "reset_periods",
+  run_weekly_report_now: "reset_periods",
+  set_report_schedule: "manage_reports",
+  "schedule.add": "manage_reports",
+  "schedule.remove": "manage_reports",
+  report_destination: "manage_reports",
+  backfill: "run_backfill",
+  "ranch.register": "configure",
+  "ranch.remove": "configure",
+  setup: "configure",
+  undo: "configure",
+  permissions: "admin"
+};
+
+// confirmation buttons, keyed by the customId action
+const BUTTON_CAPABILITIES = {
+  reset_week: "reset_periods",
+  run_weekly_report_now: "reset_periods",
+  import: "edit_gathers"
+};
+
+function commandCapability(name, sub) {
+  return COMMAND_CAPABILITIES[`${name}.${sub}`] || COMMAND_CAPABILITIES[name] || null;
+}
+
+// cached members have a roles manager; raw interaction members only carry the id array
+function memberRoleIds(member) {
+  if (!member || !member.roles) return [];
+  return member.roles.cache ? [...member.roles.cache.keys()] : [...member.roles];
+}
+
+function hasCapability(interaction, capability) {
+  const perms = interaction.memberPermissions;
+  if (perms && typeof perms.has === "function" && perms.has(PermissionsBitField.Flags.ManageGuild)) return true;
+  if (!CAPABILITIES[capability]) return false;
+  const roles = memberRoleIds(interaction.member);
+  return roles.length > 0 && !!rolesHaveCapability.get({ guild_id: interaction.guildId, capability, roles: JSON.stringify(roles) });
+}
+
+function missingCapabilityMessage(capability) {
+  return CAPABILITIES[capability]
+    ? `You need the **${capability}** permission (an admin can grant it to one of your roles with /permissions grant) or Manage Server.`
+    : "You need Manage Server permission.";
+}
+
+// ----------------- Audit log -----------------
+function maskWebhookUrl(url) {
+  return `webhook …/${String(url).split("/").slice(-2, -1)[0]}/••••`; // the token part is a secret
+}
+
+// records one entry and copies it to the guild's audit channel, if set
+function audit(guildId, actor, action, opts = {}) {
+  mirrorAudit(recordAudit(guildId, actor, action, opts));
+}
+
+// the row alone, for use inside a transaction; pass it to mirrorAudit() once that has committed
+function recordAudit(guildId, actor, action, { params = null, affected = null } = {}) {
+  const row = {
+    guild_id: guildId,
+    actor: String(actor || "system"),
+    action,
+    params: params ? JSON.stringify(params) : null,
+    affected: affected ? JSON.stringify(affected) : null,
+    ts: Date.now()
+  };
+  insertAuditLog.run(row);
+  return row;
+}
+
+function mirrorAudit(row) {
+  const cfg = getGuildConfig.get({ guild_id: row.guild_id });
+  if (cfg && cfg.audit_channel_id) {
+    client.channels.fetch(cfg.audit_channel_id)
+      .then(channel => channel.send({ content: formatAuditEntry(row), allowedMentions: { parse: [] } }))
+      .catch(e => console.error("Audit mirror failed:", e.message || e));
+  }
+}
+
+// a slash command as "name.subcommand" plus its options, for audit()
+function auditCommand(interaction, affected = null) {
+  const flat = {};
+  const walk = opts => {
+    for (const o of opts || []) {
+      if (Array.isArray(o.options)) walk(o.options);
+      else flat[o.name] = o.name === "url" ? maskWebhookUrl(o.value) : o.attachment ? o.attachment.name : o.value;
+    }
+  };
+  walk(interaction.options.data);
+  const sub = interaction.options.getSubcommand(false);
+  audit(interaction.guildId, interaction.user.id, sub ? `${interaction.commandName}.${sub}` : interaction.commandName, { params: Object.keys(flat).length ? flat : null, affected });
+}
+
+function formatAuditEntry(row) {
+  const actor = /^\d{17,20}$/.test(row.actor) ? `<@${row.actor}>` : row.actor;
+  const kv = json => Object.entries(JSON.parse(json)).map(([k, v]) => `${k}=${typeof v === "object" && v !== null ? JSON.stringify(v) : v}`).join(" ");
+  return `<t:${Math.floor(row.ts / 1000)}:f> · ${actor} · **${row.action}**${row.params ? ` · ${kv(row.params)}` : ""}${row.affected ? ` → ${kv(row.affected)}` : ""}`.slice(0, 500);
+}
+
+// ----------------- Undo -----------------
+// Destructive commands call recordDestructiveOp() with whatever is needed to put things back;
+// the handler registered for that kind does the putting back and returns { message } or { error }.
+// capability: what restoring needs beyond /undo itself ("admin" = Manage Server only).
+const undoHandlers = new Map();
+
+function registerUndoHandler(kind, restore, { capability = null } = {}) {
+  if (undoHandlers.has(kind)) throw new Error(`undo handler "${kind}" is already registered`);
+  undoHandlers.set(kind, { restore, capability });
+}
+
+function recordDestructiveOp(guildId, kind, { summary, payload, performed_by }) {
+  insertDestructiveOp.run({ guild_id: guildId, kind, summary, payload: JSON.stringify(payload), performed_by: performed_by || null, performed_at: Date.now() });
+}
+
+// can(capability) tells whether the member restoring has a handler's extra capability
+function restoreDestructiveOp(guildId, id, restored_by, can = () => true) {
+  const op = getDestructiveOp.get({ guild_id: guildId, id });
+  if (!op) return { error: `No operation #${id}. See /undo list.` };
+  if (op.restored_at) return { error: `#${id} was already restored <t:${Math.floor(op.restored_at / 1000)}:R>.` };
+  const handler = undoHandlers.get(op.kind);
+  if (!handler) return { error: `Operations of kind "${op.kind}" cannot be restored.` };
+  if (handler.capability && !can(handler.capability)) return { error: missingCapabilityMessage(handler.capability) };
+  return db.transaction(() => {
+    const res = handler.restore(guildId, JSON.parse(op.payload));
+    if (!res.error) markDestructiveOpRestored.run({ id: op.id, restored_by, restored_at: Date.now() });
+    return res;
+  })();
+}
+
+// each handler asks for the capability of the command that made the change, so /undo (configure)
+// can't put back what the member couldn't have changed themselves
+// reset: the period's rows go back into the open week and the period is dropped from /history
+registerUndoHandler("reset", (guildId, { period_id }) => {
+  const p = getPeriodById.get({ id: period_id });
+  if (!p || p.guild_id !== guildId) return { error: "That period no longer exists." };
+  const info = reopenPeriodGathers.run({ period_id });
+  deletePeriod.run({ id: period_id });
+  return { message: `Re-opened period #${p.number}: ${info.changes || 0} entries are back in the current totals.` };
+}, { capability: COMMAND_CAPABILITIES.reset_week });
+
+registerUndoHandler("ranch_remove", (guildId, { ranch }) => {
+  const taken = getRanchByName.get({ guild_id: guildId, name: ranch.name });
+  if (taken && taken.ranch_id !== ranch.ranch_id) return { error: `"${ranch.name}" is now used by ranch #${taken.ranch_id}.` };
+  upsertRanch.run({ guild_id: guildId, ...ranch });
+  return { message: `Ranch #${ranch.ranch_id} is **${ranch.name}** again.` };
+}, { capability: COMMAND_CAPABILITIES["ranch.remove"] });
+
+registerUndoHandler("item_remove", (guildId, { key }) => {
+  setItemActive.run({ guild_id: guildId, key, active: 1 });
+  reloadItemCatalogue(guildId);
+  return { message: `${itemLabel(guildId, key)} is back in the catalogue.` };
+}, { capability: COMMAND_CAPABILITIES["items.remove"] });
+
+registerUndoHandler("parse_failure_dismiss", (guildId, { id }) => {
+  const info = setParseFailureStatus.run({ guild_id: guildId, id, status: "pending", resolved_at: null });
+  return info.changes ? { message: `Unparsed message #${id} is pending again.` } : { error: `Unparsed message #${id} no longer exists.` };
+}, { capability: COMMAND_CAPABILITIES.parse_failures });
+
+registerUndoHandler("duplicate_dismiss", (guildId, { id }) => {
+  const info = resolveDuplicateGather.run({ guild_id: guildId, id, status: "pending", resolved_by: null, resolved_at: null, from_status: "dismissed" });
+  return info.changes ? { message: `Flagged duplicate #${id} is pending again.` } : { error: `Flagged duplicate #${id} is no longer dismissed.` };
+}, { capability: COMMAND_CAPABILITIES.duplicates });
+
+// both put the link back as it was; gathers attributed in between stay where they are. Linking a
+// name for someone else needs edit_gathers (see /link), so restoring one does too
+registerUndoHandler("character_unlink", (guildId, { link }) => {
+  setCharacterLink.run({ ...link, guild_id: guildId });
+  return { message: `**${link.name}** is linked to <@${link.discord_id}> again.` };
+}, { capability: "edit_gathers" });
+registerUndoHandler("character_relink", (guildId, { link }) => {
+  setCharacterLink.run({ ...link, guild_id: guildId });
+  return { message: `**${link.name}** is linked to <@${link.discord_id}> again.` };
+}, { capability: "edit_gathers" });
+
+registerUndoHandler("gather_delete", (guildId, { gather }) => {
+  const stored = getStoredGather.get({ guild_id: guildId, id: gather.id });
+  if (stored && stored.deleted_at !== null) {
+    undeleteGather.run({ guild_id: guildId, id: gather.id });
+    return { message: `Gather #${gather.id} is back.` };
+  }
+  // removed before rows were kept on delete: put the snapshot back. Those taken before gathers were
+  // keyed per event carry no event_key
+  const event_key = gather.event_key || gatherEventKey(gather.message_id);
+  if (stored || gatherEventExists.get({ event_key })) return { error: `Gather #${gather.id} exists again already.` };
+  restoreGather.run({ fingerprint: null, ...gather, event_key, guild_id: guildId });
+  return { message: `Gather #${gather.id} is back.` };
+}, { capability: COMMAND_CAPABILITIES.gather });
+
+registerUndoHandler("schedule_remove", (guildId, { schedule }) => {
+  if (getScheduleByName.get({ guild_id: guildId, name: schedule.name })) return { error: `A schedule named "${schedule.name}" exists again.` };
+  restoreSchedule.run({ ...schedule, guild_id: guildId });
+  markScheduleChanged(schedule.id);
+  return { message: `Schedule **${schedule.name}** (\`${schedule.cron}\`) is back.` };
+}, { capability: COMMAND_CAPABILITIES["schedule.remove"] });
+
+registerUndoHandler("report_destination_remove", (guildId, { destination }) => {
+  if (findReportDestination.get({ guild_id: guildId, kind: destination.kind, target: destination.target })) return { error: `${formatDestination(destination)} is a destination again already.` };
+  restoreReportDestination.run({ ...destination, guild_id: guildId });
+  return { message: `Reports go to ${formatDestination(destination)} again.` };
+}, { capability: COMMAND_CAPABILITIES.report_destination });
+
+// grants are changed by Manage Server admins only, so putting one back is too
+registerUndoHandler("permission_revoke", (guildId, { grant }) => {
+  grantRoleCapability.run({ ...grant, guild_id: guildId });
+  return { message: `<@&${grant.role_id}> has **${grant.capability}** again.` };
+}, { capability: COMMAND_CAPABILITIES.permissions });
+
+// ----------------- Parsing helpers -----------------
+function extractDiscordId(text) {
+  if (!text) return null;
+  const m = text.match(/<@!?(\d{17,20})>/);
+  return m ? m[1] : null;
+}
+function extractActorName(text) {
+  if (!text) return null;
+  const br = text.match(/^\[([^\]]{1,64})\]/) || text.match(/\[([^\]]{1,64})\]/);
+  if (br) return br[1].trim();
+  const pipe = text.match(/^([^|\n]{1,64})\s*\|/);
+  if (pipe) return pipe[1].trim();
+  return null;
+}
+// character names match case-insensitively, whitespace collapsed
+function characterKey(name) {
+  return String(name || "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+// the member an in-game character is linked to with /link, or null
+function linkedDiscordId(guildId, actor) {
+  const name_key = characterKey(actor);
+  if (!guildId || !name_key) return null;
+  const link = getCharacterLink.get({ guild_id: guildId, name_key });
+  return link ? link.discord_id : null;
+}
+function extractRanchId(text) {
+  if (!text) return null;
+  const m = text.match(/ranch\s*id\s*[:#]?\s*(\d+)/i) || text.match(/\branch\s*(\d+)/i);
+  return m ? Number(m[1]) : null;
+}
+
+// ----------------- Parser registry -----------------
+// Each webhook log format is a named rule. A rule's parse(t, ctx) receives the
+// whitespace-normalized text plus { guildId, ts } (ts = when the log was posted) and returns { item_type, amount, value, subtype }
+// or null. Shared bits (mention, actor, ranch id) are extracted once by parseGather.
+// fixtures are checked on startup so a broken rule shows up in the logs right away.
+const parseRules = [];
+
+function registerParseRule(rule) {
+  if (!rule || !rule.name || typeof rule.parse !== "function") throw new Error("parse rule needs a name and a parse function");
+  if (parseRules.some(r => r.name === rule.name)) throw new Error(`parse rule "${rule.name}" is already registered`);
+  parseRules.push({ description: "", fixtures: [], ...rule });
+}
+
+// herd buy: "bought 5 Bison" — priced from the price book at the log's time (reports re-price by gather time).
+// A catalogue item ("bought 12 eggs") is not an animal; the items rule takes it
+registerParseRule({
+  name: "herd_buy",
+  description: "Herd purchases (\"bought 5 Bison\"), priced from the price book",
+  fixtures: [
+    { text: "<@123456789012345678> bought 5 Bison", expect: { item_type: "herd_buy", amount: 5, subtype: "bison" } }
+  ],
+  parse(t, ctx) {
+    const herd = t.match(/\bbought\b\s+(\d+)\s+([A-Za-z]+)\b/i);
+    if (!herd || resolveItemAlias(ctx.guildId, herd[2])) return null;
+    const qty = parseInt(herd[1], 10);
+    const animal = herd[2].toLowerCase();
+    const per = priceAt(ctx.guildId, "herd", animal, ctx.ts);
+    return { item_type: "herd_buy", amount: qty, value: qty * per, subtype: animal };
+  }
+});
+
+// herd sell: "sold 4 Bison ... for 960.0$" — value is the parsed sale amount (0 if absent); not for catalogue items
+registerParseRule({
+  name: "herd_sell",
+  description: "Herd sales (\"sold 4 Bison for 960.0$\")",
+  fixtures: [
+    { text: "<@123456789012345678> sold 4 Bison for 960.0$", expect: { item_type: "herd_sell", amount: 4, subtype: "bison", value: 960 } },
+    { text: "<@123456789012345678> sold 2 Cow for $1,200", expect: { item_type: "herd_sell", amount: 2, subtype: "cow", value: 1200 } }
+  ],
+  parse(t, ctx) {
+    const herd = t.match(/\bsold\b\s+(\d+)\s+([A-Za-z]+)\b/i);
+    if (!herd || resolveItemAlias(ctx.guildId, herd[2])) return null;
+    let value = 0;
+    const saleMatch = t.match(/for\s+\$?([\d,\.]+)\$?/i);
+    if (saleMatch) value = parseFloat(saleMatch[1].replace(/,/g,""));
+    return { item_type: "herd_sell", amount: parseInt(herd[1], 10), value, subtype: herd[2].toLowerCase() };
+  }
+});
+
+// catalogue items: "collected 5 eggs", "12 milk", "sheared 3 wool" — matched via item aliases. The herd
+// rules before it pass on item words, so "bought 12 eggs" and "sold 3 wool" count here, never as animals
+registerParseRule({
+  name: "items",
+  description: "Item pickups matched by catalogue alias (\"5 eggs\", \"12 milk\", \"3 wool\")",
+  fixtures: [
+    { text: "<@123456789012345678> collected 5 eggs", expect: { item_type: "eggs", amount: 5, discord_id: "123456789012345678" } },
+    { text: "[Bob] <@123456789012345678> gathered 12 Milk from ranch 4", expect: { item_type: "milk", amount: 12, actor: "Bob", ranch_id: 4 } },
+    { text: "Bob | 1 egg", expect: { item_type: "eggs", amount: 1, actor: "Bob" } },
+    { text: "<@123456789012345678> sheared 3 wool", expect: { item_type: "wool", amount: 3 } },
+    { text: "<@123456789012345678> bought 12 eggs", expect: { item_type: "eggs", amount: 12 } },
+    { text: "<@123456789012345678> sold 3 wool for $30", expect: { item_type: "wool", amount: 3 } }
+  ],
+  parse(t, ctx) {
+    const { aliasRegex, aliasMap } = itemCatalogue(ctx && ctx.guildId);
+    const near = aliasRegex && t.match(aliasRegex);
+    if (!near) return null;
+    const item_type = aliasMap.get(near[2].toLowerCase());
+    if (!item_type) return null;
+    return { item_type, amount: Number(near[1]), value: 0, subtype: null };
+  }
+});
+
+// run registered rules in order; first match wins. Result carries the rule name.
+// ctx.guildId selects the guild's price book for rules that price at parse time, ctx.ts the time
+// they price at (default now; backfilled and re-processed logs pass their own).
+function parseGather(text, ctx = {}) {
+  if (!text) return null;
+  const uid = extractDiscordId(text);
+  const actor = extractActorName(text);
+  const ranchId = extractRanchId(text);
+  const t = text.replace(/\s+/g, " ").trim();
+
+  for (const rule of parseRules) {
+    let hit = null;
+    try { hit = rule.parse(t, { guildId: null, ...ctx, ts: ctx.ts ?? Date.now() }); } catch (e) { console.error(`parse rule "${rule.name}" threw:`, e); }
+    if (hit) return { discord_id: uid, actor, ranch_id: ranchId, value: 0, subtype: null, ...hit, rule: rule.name };
+  }
+  return null;
+}
+
+/**
+ * parseGatherEvents(text, ctx)
+ * A text can batch several pickups, one per line (or separated by ";" / "•"). Each chunk is parsed
+ * on its own; a chunk without its own mention, actor or ranch id takes the first one in the text
+ * (ctx.mention, if given, stands in for a text without any). A chunk naming its own character
+ * goes to the member that character is linked to (/link, when ctx.guildId has one) before any
+ * shared mention; a chunk still without a mention goes to its shared actor's linked member.
+ * ctx.context, if given, is the wider text (a whole embed) the shared mention, actor and ranch id
+ * are read from instead.
+ * When no chunk parses, the whole text is tried as one event; ctx.whole skips the split entirely.
+ * Returns a list of parseGather results, possibly empty.
+ */
+function parseGatherEvents(text, ctx = {}) {
+  if (!text) return [];
+  const context = ctx.context || text;
+  const shared = { discord_id: extractDiscordId(context) || ctx.mention || null, actor: extractActorName(context), ranch_id: extractRanchId(context) };
+  const attribute = hit => {
+    const actor = hit.actor || shared.actor;
+    const ownLink = hit.actor ? linkedDiscordId(ctx.guildId, hit.actor) : null;
+    return { ...hit, discord_id: hit.discord_id || ownLink || shared.discord_id || linkedDiscordId(ctx.guildId, actor), actor, ranch_id: hit.ranch_id ?? shared.ranch_id };
+  };
+  const events = [];
+  for (const chunk of ctx.whole ? [] : text.split(/\n|[;•]/)) {
+    const hit = parseGather(chunk, ctx);
+    if (hit) events.push(attribute(hit));
+  }
+  if (events.length) return events;
+  const whole = parseGather(text, ctx);
+  return whole ? [attribute(whole)] : [];
+}
+
+// check every rule's fixtures, then the whole-message ones (as rule "messages");
+// returns [{ rule, total, failed: [{ text, got }] }]
+function verifyParseRules() {
+  const results = parseRules.map(rule => {
+    const failed = [];
+    for (const fx of rule.fixtures) {
+      const got = parseGather(fx.text);
+      const ok = got && got.rule === rule.name && Object.keys(fx.expect || {}).every(k => got[k] === fx.expect[k]);
+      if (!ok) failed.push({ text: fx.text, got });
+    }
+    return { rule: rule.name, total: rule.fixtures.length, failed };
+  });
+  const failed = [];
+  for (const fx of MESSAGE_FIXTURES) {
+    const got = messageGatherEvents({ id: "fixture", ...fx.message }, null).events;
+    const ok = got.length === fx.expect.length && fx.expect.every((exp, i) => Object.keys(exp).every(k => got[i][k] === exp[k]));
+    if (!ok) failed.push({ text: fx.name, got });
+  }
+  results.push({ rule: "messages", total: MESSAGE_FIXTURES.length, failed });
+  return results;
+}
+
+// ----------------- Helper: get server display name (nickname) -----------------
+async function getDisplayNameForGuild(uid, guild) {
+  if (!uid) return "Unknown";
+  if (guild && guild.members && typeof guild.members.fetch === "function") {
+    try {
+      const member = await guild.members.fetch(uid).catch(() => null);
+      if (member && member.displayName) return member.displayName;
+    } catch (e) {}
+  }
+  try {
+    const u = await client.users.fetch(uid).catch(() => null);
+    if (u) return u.username + (u.discriminator ? ("#" + u.discriminator) : "");
+  } catch (e) {}
+  return uid;
+}
+
+// ----------------- Duplicate detection -----------------
+// A gather's fingerprint is a hash of its normalized content plus, when the webhook supplies one,
+// the game's own event id or timestamp. With an event key, the same fingerprint means the same
+// event was posted again, whenever that was. Without one, identical content is only suspect
+// within the item type's dedupe window. Either way the repeat is held in duplicate_gathers for
+// review rather than dropped.
+
+// footer like "Event ID: 8812" / "Log #8812", else the embed's own timestamp
+function embedEventKey(e) {
+  const footer = (e.footer && e.footer.text) || "";
+  const m = footer.match(/\b(?:event|log|tx|transaction)\s*(?:id)?\s*[:#]\s*([\w-]+)/i);
+  if (m) return `id:${m[1]}`;
+  return e.timestamp ? `ts:${new Date(e.timestamp).getTime()}` : null;
+}
+
+// ordinal tells apart identical events batched in the same embed or content
+function gatherFingerprint(guildId, parsed, eventKey = null, ordinal = 0) {
+  const content = [
+    parsed.discord_id || "",
+    parsed.ranch_id ?? "",
+    parsed.item_type,
+    parsed.amount,
+    String(parsed.subtype || "").trim().toLowerCase(),
+    Number(parsed.value || 0).toFixed(2)
+  ].join("|");
+  return crypto.createHash("sha1").update(`${guildId}|${eventKey || ""}|${content}${ordinal ? `|${ordinal}` : ""}`).digest("hex");
+}
+
+function dedupeWindowMs(guildId, itemType) {
+  const rule = getDedupeRule.get({ guild_id: guildId, item_type: itemType }) || getDedupeRule.get({ guild_id: guildId, item_type: "*" });
+  return rule ? rule.window_ms : DUPLICATE_WINDOW_MS;
+}
+
+// an event held in /duplicates (pending, kept or dismissed) was already judged; backfill, edits and
+// re-processing must not count it again
+function heldAsDuplicate(eventKey) {
+  return !!duplicateEventExists.get({ event_key: eventKey });
+}
+
+// { duplicate_of, reason } when row repeats a stored gather, else null
+function findDuplicate(guildId, { fingerprint, item_type, ts }, hasEventKey) {
+  if (hasEventKey) {
+    const hit = findDuplicateGather.get({ guild_id: guildId, fingerprint, since_ts: 0 });
+    return hit ? { duplicate_of: hit.id, reason: "event" } : null;
+  }
+  const windowMs = dedupeWindowMs(guildId, item_type);
+  if (windowMs <= 0) return null;
+  const hit = findDuplicateGather.get({ guild_id: guildId, fingerprint, since_ts: ts - windowMs });
+  return hit ? { duplicate_of: hit.id, reason: "window" } : null;
+}
+
+function formatDuplicate(guildId, d) {
+  const what = `${itemLabel(guildId, d.item_type)} ×${d.amount}${d.subtype ? ` (${d.subtype})` : ""}${d.value ? ` $${Number(d.value).toFixed(2)}` : ""}`;
+  const why = d.reason === "event" ? "same webhook event" : "same content within the window";
+  return `**#${d.id}** <t:${Math.floor(d.ts / 1000)}:f> · <@${d.discord_id}> · ${what} — ${why} as gather #${d.duplicate_of} · https://discord.com/channels/${guildId}/${d.channel_id}/${d.message_id}`;
+}
+
+function formatWindow(ms) {
+  return ms <= 0 ? "off (event ids only)" : ms % 60000 === 0 ? `${ms / 60000} min` : `${ms / 1000}s`;
+}
+
+// ----------------- Message text & events -----------------
+const gatherEventKey = (messageId, index = 0) => `${messageId}#${index}`;
+
+// what the parser reads from a message: its content, then each embed's title and description as
+// one block and each of its fields as another. embed is the embed's index (null for the content),
+// eventKey its own event id, for fingerprints, and context the whole embed, which a block's
+// mention, actor and ranch id default to ("[Bob] Gather log" title, "Ranch ID" field)
+function messageTextBlocks(message) {
+  const blocks = [];
+  if (message.content && message.content.trim()) blocks.push({ text: message.content, eventKey: null, embed: null, context: null });
+  (message.embeds || []).forEach((e, n) => {
+    const eventKey = embedEventKey(e);
+    const head = [e.title, e.description].filter(l => l && String(l).trim()).join("\n");
+    const fields = (e.fields || []).map(f => [f.name, f.value].filter(l => l && String(l).trim()).join(" ")).filter(Boolean);
+    const context = [head, ...fields].filter(Boolean).join("\n");
+    if (head) blocks.push({ text: head, eventKey, embed: n, context });
+    for (const line of fields) blocks.push({ text: line, eventKey, embed: n, context });
+  });
+  return blocks;
+}
+
+// content that only repeats an embed's event ("<@id> collected 5 eggs" above the same card)
+const sameGatherEvent = (a, b) => a.item_type === b.item_type && a.amount === b.amount && (a.subtype || null) === (b.subtype || null)
+  && (!a.discord_id || !b.discord_id || a.discord_id === b.discord_id);
+
+/**
+ * messageGatherEvents(message, guildId)
+ * Every gather event in a message, in order. The content may batch several events; an embed's
+ * title and description, and each of its fields, hold one event at most, and content events an
+ * embed already carries are dropped. Events without a mention take the message's first one, or else
+ * their character's linked member. Each carries its event_key, fingerprint and
+ * webhook_event (the embed's event id, if any). Herd buys are priced at message.createdTimestamp.
+ * Returns { text, events }; text is everything that was read (kept when nothing parses).
+ */
+function messageGatherEvents(message, guildId) {
+  const blocks = messageTextBlocks(message);
+  const text = blocks.map(b => b.text).join("\n");
+  const mention = extractDiscordId(text);
+  const parsedBlocks = blocks.map(block => parseGatherEvents(block.text, { guildId, ts: message.createdTimestamp, mention, whole: block.embed !== null, context: block.context }));
+  const fromEmbeds = parsedBlocks.filter((_, b) => blocks[b].embed !== null).flat();
+  const ordinals = new Map(); // embed index + fingerprint -> identical events so far in that embed (or the content)
+  const events = [];
+  blocks.forEach((block, b) => {
+    const parsedEvents = block.embed !== null ? parsedBlocks[b] : parsedBlocks[b].filter(ev => {
+      const j = fromEmbeds.findIndex(e => sameGatherEvent(e, ev));
+      if (j >= 0) fromEmbeds.splice(j, 1);
+      return j < 0;
+    });
+    for (const parsed of parsedEvents) {
+      const same = `${block.embed}:${gatherFingerprint(guildId, parsed, block.eventKey)}`;
+      const i = ordinals.get(same) || 0;
+      ordinals.set(same, i + 1);
+      events.push({ ...parsed, event_key: gatherEventKey(message.id, events.length), webhook_event: block.eventKey, fingerprint: gatherFingerprint(guildId, parsed, block.eventKey, i) });
+    }
+  });
+  return { text, events };
+}
+
+// whole-message cases a single rule's fixtures can't show: which blocks are read, and what they
+// share. Checked with the rule fixtures by verifyParseRules()
+const MESSAGE_FIXTURES = [
+  {
+    name: "embed with the actor in its title and the ranch id in a field",
+    message: { embeds: [{ title: "[Bob] Gather log", description: "collected 5 eggs", fields: [{ name: "Ranch ID:", value: "344" }] }] },
+    expect: [{ item_type: "eggs", amount: 5, actor: "Bob", ranch_id: 344 }]
+  },
+  {
+    name: "embed with one pickup per field",
+    message: { embeds: [{ title: "Ranch 7", fields: [{ name: "<@123456789012345678>", value: "collected 6 eggs" }, { name: "<@223456789012345678>", value: "collected 1 wool" }] }] },
+    expect: [{ item_type: "eggs", amount: 6, discord_id: "123456789012345678", ranch_id: 7 }, { item_type: "wool", amount: 1, discord_id: "223456789012345678", ranch_id: 7 }]
+  }
+];
+
+// character names of events no member could be found for ("Unknown" is the game's placeholder)
+function unlinkedActors(events) {
+  return [...new Set(events.filter(ev => !ev.discord_id && ev.actor && !/^unknown$/i.test(ev.actor.trim())).map(ev => ev.actor.trim()))];
+}
+
+// the parts of a message messageTextBlocks() reads, as JSON for parse_failures.message
+function messageSource(message) {
+  return JSON.stringify({
+    content: message.content || "",
+    embeds: (message.embeds || []).map(e => ({
+      title: e.title ?? null,
+      description: e.description ?? null,
+      fields: (e.fields || []).map(f => ({ name: f.name, value: f.value })),
+      footer: e.footer && e.footer.text ? { text: e.footer.text } : null,
+      timestamp: e.timestamp ?? null
+    }))
+  });
+}
+
+// a parse_failures row as a message for messageGatherEvents(); rows kept before the message
+// itself was stored only have the text that was read
+function storedMessage(row) {
+  const source = row.message ? JSON.parse(row.message) : { content: row.text };
+  return { ...source, id: row.message_id, channelId: row.channel_id, createdTimestamp: row.ts };
+}
+
+// keep a log for /parse_failures: nothing in it parsed ("unparsed"), or some events only name a
+// character nobody has linked yet ("no_mention"; /link re-attributes those)
+function keepForReview(guildId, { ts, message }, text, events) {
+  const actors = unlinkedActors(events);
+  if (!text.trim() || (events.length && actors.length === 0)) return;
+  insertParseFailure.run({ guild_id: guildId, ts, channel_id: message.channelId, message_id: message.id, text, message: messageSource(message), reason: events.length ? "no_mention" : "unparsed", actor: actors.join(", ") || null });
+}
+
+// a gathers row for one parsed event of a message
+function gatherRow(guildId, { ts, channel_id, message_id }, ev) {
+  return {
+    guild_id: guildId,
+    ts,
+    channel_id,
+    message_id,
+    event_key: ev.event_key,
+    discord_id: ev.discord_id,
+    ranch_id: ev.ranch_id,
+    item_type: ev.item_type,
+    amount: ev.amount,
+    value: ev.value || 0,
+    subtype: ev.subtype || null,
+    fingerprint: ev.fingerprint
+  };
+}
+
+// ----------------- Message listener -----------------
+client.on("messageCreate", async (message) => {
+  try {
+    console.log("MSG:", "channelId=", message.channelId, "isWebhook=", !!message.webhookId, "contentLen=", (message.content || "").length, "embeds=", (message.embeds && message.embeds.length) ? message.embeds.length : 0);
+    const listen = getListenChannel.get({ channel_id: message.channelId });
+    if (!listen || listen.guild_id !== message.guildId) return;
+    const guildId = listen.guild_id;
+
+    const { text, events } = messageGatherEvents(message, guildId);
+    console.log("TEXT_USED:", text);
+    // webhook/bot logs nobody could read or attribute are kept, to re-process once a rule or link exists
+    const isLog = !!(message.webhookId || (message.author && message.author.bot));
+    const review = { ts: message.createdTimestamp || Date.now(), message };
+    if (events.length === 0) {
+      console.log("PARSE_FAIL");
+      if (isLog) keepForReview(guildId, review, text, events);
+      return;
+    }
+
+    const ts = Date.now();
+    for (const ev of events) {
+      // require a mention or linked character to identify the user
+      if (!ev.discord_id) {
+        console.log(ev.actor && /^unknown$/i.test(ev.actor.trim()) ? "SKIP_UNKNOWN_ACTOR" : "SKIP_NO_MENTION", ev.event_key);
+        continue;
+      }
+      const row = gatherRow(guildId, { ts, channel_id: message.channelId, message_id: message.id }, ev);
+
+      // likely repeats are held for review (/duplicates) instead of being counted
+      const dup = findDuplicate(guildId, row, !!ev.webhook_event);
+      if (dup) {
+        insertDuplicateGather.run({ ...row, ...dup });
+        console.log("DUPLICATE_FLAGGED", ev.event_key, dup);
+        continue;
+      }
+
+      try {
+        insertGather.run(row);
+      } catch (e) {
+        if (String(e).includes("UNIQUE constraint failed")) continue; // this event was logged already
+        throw e;
+      }
+      console.log("INSERTED GATHER:", {
+        event: ev.event_key,
+        type: ev.item_type,
+        amount: ev.amount,
+        value: ev.value || 0,
+        subtype: ev.subtype || null,
+        user: ev.discord_id,
+        ranch: ev.ranch_id || "n/a",
+        sample: text.slice(0,200)
+      });
+    }
+    if (isLog) keepForReview(guildId, review, text, events);
+  } catch (e) {
+    console.error("ERROR in messageCreate:", e);
+  }
+});
+
+// ----------------- Message edits & deletions -----------------
+// The game webhook sometimes edits a log to fix it, and moderators delete bogus ones. A message's
+// gathers follow it: re-parsed on edit (matched up by content, see matchEventRows), soft-deleted on delete (deleted_at,
+// recorded in gather_history and /undo, performed_by "discord").
+const GATHER_FIELDS = ["discord_id", "ranch_id", "item_type", "amount", "value", "subtype"];
+
+function removeGatherForMessage(guildId, before, why) {
+  deleteGather.run({ guild_id: guildId, id: before.id, deleted_at: Date.now() });
+  recordGatherChange(guildId, "delete", { before, reason: `message ${why}`, performed_by: "discord" });
+  recordDestructiveOp(guildId, "gather_delete", { summary: `Removed gather #${before.id} (${before.item_type} ×${before.amount} for ${before.discord_id}): its message was ${why}`, payload: { gather: before }, performed_by: "discord" });
+}
+
+// an event an edit adds goes through the same check as a new message: a likely repeat is held
+// for /duplicates instead of being counted. Returns true when it was held
+function holdIfDuplicate(guildId, row, ev) {
+  const dup = findDuplicate(guildId, row, !!ev.webhook_event);
+  if (!dup) return false;
+  insertDuplicateGather.run({ ...row, ...dup });
+  return true;
+}
+
+// an event's own event_key, or the next free one for its message when a stored row already has it:
+// rows keep their key when an edit shifts the events around them
+function freeEventKey(messageId, eventKey) {
+  const taken = key => gatherEventExists.get({ event_key: key }) || duplicateEventExists.get({ event_key: key });
+  if (!taken(eventKey)) return eventKey;
+  let n = 0;
+  while (taken(gatherEventKey(messageId, n))) n++;
+  return gatherEventKey(messageId, n);
+}
+
+// stores an event an edit added to the message at ts: gone is the row an earlier edit took out for
+// it, which comes back; anything else is checked like a new message. Records the change in `changed`
+function addEventFromEdit(guildId, message, ts, ev, gone, reason, changed) {
+  const fields = gatherRow(guildId, { ts, channel_id: message.channelId, message_id: message.id }, ev);
+  if (gone) {
+    const before = getStoredGather.get({ guild_id: guildId, id: gone.id });
+    updateGather.run({ ...fields, ts: gone.ts, id: gone.id });
+    undeleteGather.run({ guild_id: guildId, id: gone.id });
+    recordGatherChange(guildId, "add", { before, after: getGather.get({ guild_id: guildId, id: gone.id }), reason, performed_by: "discord" });
+    changed.added.push(gone.id);
+    return;
+  }
+  fields.event_key = freeEventKey(message.id, ev.event_key);
+  if (holdIfDuplicate(guildId, fields, ev)) { changed.flagged.push(fields.event_key); return; }
+  const info = insertGather.run(fields);
+  const row = getGather.get({ guild_id: guildId, id: Number(info.lastInsertRowid) });
+  recordGatherChange(guildId, "add", { after: row, reason, performed_by: "discord" });
+  changed.added.push(row.id);
+}
+
+// pairs each event of an edited message with the stored row it is: same fingerprint first, then
+// same item and member, and only then same event_key (its position), so an edit that takes out an
+// earlier event doesn't shift the later ones onto the wrong rows. Earlier rows win ties.
+// Returns { matched: Map event -> row, left: rows no event matched }
+function matchEventRows(events, rows) {
+  const matched = new Map();
+  const left = [...rows];
+  const passes = [
+    (ev, r) => r.fingerprint === ev.fingerprint,
+    (ev, r) => r.item_type === ev.item_type && r.discord_id === ev.discord_id,
+    (ev, r) => r.event_key === ev.event_key
+  ];
+  for (const same of passes) {
+    for (const ev of events) {
+      if (matched.has(ev)) continue;
+      const j = left.findIndex(r => same(ev, r));
+      if (j >= 0) matched.set(ev, left.splice(j, 1)[0]);
+    }
+  }
+  return { matched, left };
+}
+
+/**
+ * applyMessageEdit(guildId, message, previous)
+ * Brings a message's gathers in line with its edited text. previous is the message before the edit,
+ * when Discord had it cached: updates that leave the content and embeds alone (link previews, embeds
+ * resolving, pins) are ignored. Rows a moderator edited by hand are left as they are.
+ */
+function applyMessageEdit(guildId, message, previous = null) {
+  if (previous && !previous.partial && messageSource(previous) === messageSource(message)) return;
+  const { text, events } = messageGatherEvents(message, guildId);
+  const readable = events.filter(ev => ev.discord_id);
+  const scope = { guild_id: guildId, message_id: message.id };
+  const current = listGathersByMessage.all(scope);
+  // events matched to a row a moderator deleted, or to one held in /duplicates (kept ones are rows
+  // already), were judged: they are neither stored nor held again
+  const held = listDuplicatesByMessage.all(scope).filter(d => d.status !== "kept");
+  const { matched, left } = matchEventRows(readable, [...current, ...listDeletedGathersByMessage.all(scope), ...held]);
+  const live = new Set(current);
+  const adding = readable.filter(ev => !matched.has(ev) || matched.get(ev).edited_away);
+  const changed = { added: [], edited: [], removed: [], flagged: [] };
+
+  if (current.length === 0) {
+    // a log nobody could read may be readable now
+    const failure = getParseFailureByMessage.get(scope);
+    if (!failure || failure.status !== "pending" || adding.length === 0) return;
+    const actors = unlinkedActors(events);
+    db.transaction(() => {
+      for (const ev of adding) addEventFromEdit(guildId, message, failure.ts, ev, matched.get(ev), "unparsed message was edited", changed);
+      if (actors.length) updateParseFailure.run({ guild_id: guildId, id: failure.id, text, message: messageSource(message), reason: "no_mention", actor: actors.join(", ") });
+      else setParseFailureStatus.run({ guild_id: guildId, id: failure.id, status: "resolved", resolved_at: Date.now() });
+    })();
+    audit(guildId, "discord", "gather.message_edit", { params: { message_id: message.id }, affected: { ...changed, parse_failure: failure.id } });
+    return;
+  }
+
+  db.transaction(() => {
+    for (const ev of adding) addEventFromEdit(guildId, message, current[0].ts, ev, matched.get(ev), "message edited", changed);
+    for (const ev of readable) {
+      const before = matched.get(ev);
+      if (!before || !live.has(before)) continue;
+      if (gatherEditedByHand.get({ guild_id: guildId, id: before.id })) continue;
+      const fields = gatherRow(guildId, before, ev);
+      if (GATHER_FIELDS.every(k => before[k] === fields[k])) continue; // e.g. Discord adding a link preview
+      updateGather.run({ ...fields, id: before.id });
+      recordGatherChange(guildId, "edit", { before, after: getGather.get({ guild_id: guildId, id: before.id }), reason: "message edited", performed_by: "discord" });
+      if (before.period_id !== null) console.log("Edited gather", before.id, "belongs to a closed period; its stored snapshot is unchanged.");
+      changed.edited.push(before.id);
+    }
+    // events the edit took out
+    for (const before of left.filter(r => live.has(r))) {
+      if (gatherEditedByHand.get({ guild_id: guildId, id: before.id })) {
+        console.log("Gather", before.id, "was edited by hand; left as it is although its message no longer has the event.");
+        continue;
+      }
+      removeGatherForMessage(guildId, before, readable.length ? "edited and no longer has this event" : "edited and no longer parses");
+      changed.removed.push(before.id);
+    }
+    // nothing readable left, or events naming an unlinked character: keep the text for review
+    keepForReview(guildId, { ts: current[0].ts, message }, text, events);
+  })();
+  if (changed.added.length + changed.edited.length + changed.removed.length + changed.flagged.length === 0) return;
+  audit(guildId, "discord", "gather.message_edit", { params: { message_id: message.id }, affected: changed });
+}
+
+function applyMessageDelete(guildId, messageId) {
+  const current = listGathersByMessage.all({ guild_id: guildId, message_id: messageId });
+  const failure = getParseFailureByMessage.get({ guild_id: guildId, message_id: messageId });
+  db.transaction(() => {
+    for (const before of current) removeGatherForMessage(guildId, before, "deleted");
+    // nothing left to review once the message is gone
+    if (failure && failure.status === "pending") setParseFailureStatus.run({ guild_id: guildId, id: failure.id, status: "dismissed", resolved_at: Date.now() });
+    for (const dup of listDuplicatesByMessage.all({ guild_id: guildId, message_id: messageId })) {
+      if (dup.status === "pending") resolveDuplicateGather.run({ guild_id: guildId, id: dup.id, status: "dismissed", resolved_by: "discord", resolved_at: Date.now(), from_status: "pending" });
+    }
+  })();
+  if (current.length) audit(guildId, "discord", "gather.message_delete", { params: { message_id: messageId }, affected: { removed: current.map(g => g.id) } });
+}
+
+client.on("messageUpdate", async (oldMessage, newMessage) => {
+  try {
+    const listen = getListenChannel.get({ channel_id: newMessage.channelId });
+    if (!listen || listen.guild_id !== newMessage.guildId) return;
+    const message = newMessage.partial ? await newMessage.fetch().catch(() => null) : newMessage;
+    if (!message) return;
+    applyMessageEdit(listen.guild_id, message, oldMessage);
+  } catch (e) {
+    console.error("ERROR in messageUpdate:", e);
+  }
+});
+
+client.on("messageDelete", async (message) => {
+  try {
+    const listen = getListenChannel.get({ channel_id: message.channelId });
+    if (!listen || listen.guild_id !== message.guildId) return;
+    applyMessageDelete(listen.guild_id, message.id);
+  } catch (e) {
+    console.error("ERROR in messageDelete:", e);
+  }
+});
+
+client.on("messageDeleteBulk", async (messages, channel) => {
+  try {
+    const listen = getListenChannel.get({ channel_id: channel.id });
+    if (!listen || (channel.guildId && listen.guild_id !== channel.guildId)) return;
+    for (const id of messages.keys()) applyMessageDelete(listen.guild_id, id);
+  } catch (e) {
+    console.error("ERROR in messageDeleteBulk:", e);
+  }
+});
+
+// ----------------- Send embeds in batches -----------------
+// a deferred interaction gets its first batch as the reply itself; ephemeral keeps the follow-ups private too
+async function sendEmbedsInBatches(target, embeds, { ephemeral = false } = {}) {
+  const BATCH_SIZE = 10;
+  if (!embeds || embeds.length === 0) return;
+  const hasReply = target && typeof target.reply === "function" && typeof target.followUp === "function";
+  const hasSend = target && typeof target.send === "function";
+
+  for (let i = 0; i < embeds.length; i += BATCH_SIZE) {
+    const batch = embeds.slice(i, i + BATCH_SIZE);
+    try {
+      if (hasReply) {
         if (!target.replied && !target.deferred) {
-          await target.reply({ embeds: batch });
+          await target.reply({ embeds: batch, ...(ephemeral ? { ephemeral } : {}) });
+        } else if (i === 0 && target.deferred && !target.replied) {
+          await target.editReply({ embeds: batch });
+        } else {
+          await target.followUp({ embeds: batch, ...(ephemeral ? { ephemeral } : {}) });
+        }
+      } else if (hasSend) {
+        await target.send({ embeds: batch });
+      } else {
+        console.error("No valid send target for embeds");
+      }
+    } catch (err) {
+      console.error("Failed to send embed batch:", err);
+    }
+  }
+}
+
+// ----------------- Export -----------------
+const EXPORT_MAX_BYTES = 8 * 1024 * 1024; // Discord's attachment limit on unboosted servers
+
+// RFC 4180 quoting; text cells that a spreadsheet would run as a formula get a leading '
+function toCsv(rows, columns) {
+  const cell = v => {
+    if (v === null || v === undefined) return "";
+    let str = String(v);
+    if (typeof v === "string" && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.join(","), ...rows.map(r => columns.map(c => cell(r[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+// an item key or alias, or herd_buy / herd_sell; null when not a known type
+function resolveItemType(guildId, input) {
+  const s = String(input || "").trim().toLowerCase();
+  if (s === "herd_buy" || s === "herd_sell") return s;
+  const { items, aliasMap } = itemCatalogue(guildId);
+  return aliasMap.get(s) || (items.some(it => it.key === s) ? s : null);
+}
+
+const roundCents = v => Math.round(v * 100) / 100;
+
+// per-user totals as flat rows (one column per item), ranked by total revenue
+function userTotalsRows(users, displays) {
+  return users
+    .slice()
+    .sort((a, b) => b.totalRevenue - a.totalRevenue)
+    .map((u, i) => ({
+      rank: i + 1,
+      discord_id: u.discord_id,
+      name: displays.get(u.discord_id) || u.discord_id,
+      ...u.items,
+      total_items: u.totalItems,
+      items_revenue: roundCents(u.itemsRevenue),
+      herd_bought: u.herdBought,
+      herd_sold: u.herdSold,
+      herd_net: roundCents(u.herdNet),
+      total_revenue: roundCents(u.totalRevenue)
+    }));
+}
+function userTotalsColumns(guildId) {
+  return ["rank", "discord_id", "name", ...activeItems(guildId).map(it => it.key), "total_items", "items_revenue", "herd_bought", "herd_sold", "herd_net", "total_revenue"];
+}
+
+/**
+ * buildExport(guildId, guild, { kind, format, sinceTs, untilTs, discordId, itemType })
+ * kind "rows" is the raw gathers (value priced like every report, period = archived period
+ * number or empty while open); kind "report" is per-user totals. Returns { name, data, count }.
+ */
+async function buildExport(guildId, guild, { kind = "rows", format = "csv", sinceTs = null, untilTs = null, discordId = null, itemType = null }) {
+  const filter = { guild_id: guildId, since_ts: sinceTs, until_ts: untilTs, discord_id: discordId, item_type: itemType };
+  const stamp = formatZonedDate(guildTimezone(guildId), Date.now());
+  let rows, columns;
+  if (kind === "report") {
+    const users = collectUserTotals(guildId, exportUserItemTotals.all(filter));
+    const displays = new Map();
+    for (const u of users) displays.set(u.discord_id, await getDisplayNameForGuild(u.discord_id, guild).catch(() => u.discord_id));
+    rows = userTotalsRows(users, displays);
+    columns = userTotalsColumns(guildId);
+  } else {
+    const tz = guildTimezone(guildId);
+    rows = exportGathers.all(filter).map(r => ({ ...r, time: new Date(r.ts).toISOString(), date: formatZonedDate(tz, r.ts), value: roundCents(Number(r.value || 0)) }));
+    columns = ["id", "time", "date", "discord_id", "ranch_id", "item_type", "subtype", "amount", "value", "period", "channel_id", "message_id", "event_key"];
+  }
+  const data = format === "json"
+    ? Buffer.from(JSON.stringify(rows.map(r => Object.fromEntries(columns.map(c => [c, r[c] ?? null]))), null, 2))
+    : Buffer.from(toCsv(rows, columns));
+  return { name: `ranch-${kind}-${stamp}.${format}`, data, count: rows.length };
+}
+
+// ----------------- Import -----------------
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_CONFIRM_MS = 15 * 60 * 1000;
+const pendingImports = new Map(); // token -> { guildId, userId, file, rows, expires }, waiting for the confirm button
+
+// RFC 4180 CSV into objects keyed by the lower-cased header row
+function parseCsv(text) {
+  const records = [];
+  let row = [], cell = "", quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); records.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) { row.push(cell); records.push(row); }
+  const [header, ...rest] = records.filter(r => r.some(c => c.trim() !== ""));
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase());
+  return rest.map(r => Object.fromEntries(keys.map((k, i) => [k, r[i] === undefined ? "" : r[i].trim()])));
+}
+
+/**
+ * validateImportRow(guildId, raw)
+ * Checks one imported row the way the parser would have built it: known item type (aliases
+ * allowed), a member id, a positive amount and a time (ts in ms, an ISO time, or a date in the
+ * guild timezone). herd_buy is priced from the price book at that time, herd_sell keeps its
+ * value. Rows without a message_id get a stable one so importing the same file twice is caught;
+ * an exported event_key is kept, so every event of a multi-event message comes back (files
+ * without the column get the message's first event key).
+ * Returns { row } ready for insertGather, or { error }.
+ */
+function validateImportRow(guildId, raw) {
+  const get = k => (raw[k] === null || raw[k] === undefined ? "" : String(raw[k]).trim());
+  const item_type = resolveItemType(guildId, get("item_type") || get("type"));
+  if (!item_type) return { error: `unknown item type "${get("item_type") || get("type")}"` };
+  const discord_id = get("discord_id").replace(/^<@!?|>$/g, "");
+  if (!/^\d{17,20}$/.test(discord_id)) return { error: `bad discord_id "${get("discord_id")}"` };
+  const amount = Number(get("amount"));
+  if (!Number.isInteger(amount) || amount <= 0) return { error: `amount must be a whole number above 0, got "${get("amount")}"` };
+
+  const tz = guildTimezone(guildId);
+  let ts = null;
+  if (/^\d{10,}$/.test(get("ts"))) ts = Number(get("ts"));
+  else if (/(?:Z|[+-]\d{2}:?\d{2})$/.test(get("time"))) ts = Date.parse(get("time"));
+  else ts = parseDateInput(get("time") || get("date"), tz);
+  if (!Number.isFinite(ts)) return { error: "needs ts, time or date" };
+  if (ts > Date.now()) return { error: `time ${new Date(ts).toISOString()} is in the future` };
+
+  const ranchInput = get("ranch_id");
+  if (ranchInput && !/^\d+$/.test(ranchInput)) return { error: `bad ranch_id "${ranchInput}"` };
+  const subtype = get("subtype").toLowerCase() || null;
+  if ((item_type === "herd_buy" || item_type === "herd_sell") && !subtype) return { error: `${item_type} needs a subtype (the animal)` };
+  let value = 0;
+  if (item_type === "herd_buy") value = amount * priceAt(guildId, "herd", subtype, ts);
+  if (item_type === "herd_sell") {
+    value = get("value") ? Number(get("value").replace(/[$,]/g, "")) : 0;
+    if (!Number.isFinite(value) || value < 0) return { error: `bad value "${get("value")}"` };
+  }
+
+  const message_id = get("message_id") || `import:${crypto.createHash("sha1").update([guildId, ts, discord_id, item_type, amount, subtype, value].join("|")).digest("hex").slice(0, 20)}`;
+  const event_key = get("event_key") || gatherEventKey(message_id);
+  if (!event_key.startsWith(`${message_id}#`)) return { error: `event_key "${event_key}" does not belong to message ${message_id}` };
+  const row = { guild_id: guildId, ts, channel_id: get("channel_id") || "import", message_id, event_key, discord_id, ranch_id: ranchInput ? Number(ranchInput) : null, item_type, amount, value, subtype };
+  // fingerprinted like a manual gather, so the listener's window check sees imported rows too
+  return { row: { ...row, fingerprint: gatherFingerprint(guildId, row) } };
+}
+
+// dry run: sorts rows into valid / duplicate (already stored, or repeated in the file) / error
+function planImport(guildId, records) {
+  const plan = { rows: [], duplicates: 0, errors: [] };
+  const seen = new Set();
+  records.forEach((raw, i) => {
+    const res = validateImportRow(guildId, raw || {});
+    if (res.error) { plan.errors.push(`row ${i + 1}: ${res.error}`); return; }
+    if (seen.has(res.row.event_key) || gatherEventExists.get({ event_key: res.row.event_key })) { plan.duplicates++; return; }
+    seen.add(res.row.event_key);
+    plan.rows.push(res.row);
+  });
+  return plan;
+}
+
+// one transaction; rows that became duplicates since the dry run are skipped. Rows dated before a
+// past close go to that period (fileInClosedPeriod), so old history doesn't land in the open week
+function commitImport(rows) {
+  return db.transaction(() => {
+    let inserted = 0;
+    for (const r of rows) {
+      if (gatherEventExists.get({ event_key: r.event_key })) continue;
+      fileInClosedPeriod(r.guild_id, Number(insertGather.run(r).lastInsertRowid), r);
+      inserted++;
+    }
+    return inserted;
+  })();
+}
+
+// ----------------- Manual gathers -----------------
+function recordGatherChange(guildId, action, { before = null, after = null, reason, performed_by }) {
+  insertGatherHistory.run({
+    guild_id: guildId,
+    gather_id: (after || before).id,
+    discord_id: (after || before).discord_id,
+    action,
+    before: before ? JSON.stringify(before) : null,
+    after: after ? JSON.stringify(after) : null,
+    reason: reason || null,
+    performed_by,
+    performed_at: Date.now()
+  });
+}
+
+function formatGatherRow(guildId, g) {
+  const what = `${itemLabel(guildId, g.item_type)} ×${g.amount}${g.subtype ? ` (${g.subtype})` : ""}${g.item_type === "herd_sell" || g.item_type === "herd_buy" ? ` $${Number(g.value || 0).toFixed(2)}` : ""}`;
+  const where = [g.ranch_id !== null ? ranchLabel(guildId, g.ranch_id) : null, g.period_number ? `period #${g.period_number}` : null].filter(Boolean).join(", ");
+  const deleted = g.deleted_at ? ` · deleted <t:${Math.floor(g.deleted_at / 1000)}:R>` : "";
+  return `**#${g.id}** <t:${Math.floor(g.ts / 1000)}:f> · <@${g.discord_id}> · ${what}${where ? ` · ${where}` : ""}${g.edited ? " ✏️" : ""}${deleted}`;
+}
+
+function formatGatherChange(h) {
+  const by = /^\d{17,20}$/.test(h.performed_by) ? `<@${h.performed_by}>` : h.performed_by;
+  return `${h.action} #${h.gather_id} by ${by} <t:${Math.floor(h.performed_at / 1000)}:R>${h.reason ? ` — ${h.reason}` : ""}`;
+}
+
+// ----------------- Report destinations -----------------
+const REPORT_MAX_ATTEMPTS = 4;
+const REPORT_RETRY_BASE_MS = 2000; // 2s, 4s, 8s between attempts unless Discord says otherwise
+const WEBHOOK_URL_RE = /^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+
+// guilds start with what the old delivery used: the webhook, else the report channel, plus DMs
+// whenever someone is subscribed (or nothing else is set). Only seeded once so a guild can remove them
+function ensureDefaultDestinations(guildId) {
+  const seededKey = `report_destinations_seeded:${guildId}`;
+  if (getMeta.get({ key: seededKey })) return;
+  const cfg = getGuildConfig.get({ guild_id: guildId }) || {};
+  const created_at = Date.now();
+  const shared = cfg.report_webhook_url ? ["webhook", cfg.report_webhook_url] : cfg.report_channel_id ? ["channel", cfg.report_channel_id] : null;
+  if (shared) addReportDestination.run({ guild_id: guildId, kind: shared[0], target: shared[1], added_by: "default", created_at });
+  if (!shared || countSubscribers.get({ guild_id: guildId }).total > 0) addReportDestination.run({ guild_id: guildId, kind: "dm", target: "", added_by: "default", created_at });
+  setMeta.run({ key: seededKey, value: "1" });
+}
+
+function formatDestination(d) {
+  if (d.kind === "channel") return `<#${d.target}>`;
+  if (d.kind === "webhook") return maskWebhookUrl(d.target);
+  return "DM to report subscribers";
+}
+
+// files ({ attachment: Buffer, name }) switch the request to multipart
+async function postWebhook(url, body, files = []) {
+  let init = { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) };
+  if (files.length) {
+    const form = new FormData();
+    form.append("payload_json", JSON.stringify(body));
+    files.forEach((f, i) => form.append(`files[${i}]`, new Blob([f.attachment]), f.name));
+    init = { method: "POST", body: form };
+  }
+  const res = await fetch(url, init);
+  if (res.ok) return;
+  const data = await res.json().catch(() => ({}));
+  const err = new Error(`Webhook responded ${res.status}${data.message ? `: ${data.message}` : ""}`);
+  err.status = res.status;
+  if (res.status === 429) err.retryAfterMs = Math.ceil(Number(data.retry_after ?? res.headers.get("retry-after") ?? 1) * 1000);
+  throw err;
+}
+
+/**
+ * sendWithRetry(guildId, dest, recipient, send)
+ * Runs send() until it succeeds or REPORT_MAX_ATTEMPTS is reached, logging every attempt to
+ * report_deliveries. A 429 waits for its retry_after; other failures back off exponentially.
+ * Client errors other than 429 (bad webhook, missing access, ...) are not retried.
+ * Returns { ok } plus the last error when it gave up.
+ */
+async function sendWithRetry(guildId, dest, recipient, send) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await send();
+      insertReportDelivery.run({ guild_id: guildId, destination_id: dest.id, recipient, attempt, ok: 1, http_status: null, error: null, ts: Date.now() });
+      return { ok: true };
+    } catch (e) {
+      const status = typeof e.status === "number" ? e.status : null;
+      insertReportDelivery.run({ guild_id: guildId, destination_id: dest.id, recipient, attempt, ok: 0, http_status: status, error: String(e.message || e).slice(0, 500), ts: Date.now() });
+      const retryable = status === null || status === 429 || status >= 500;
+      if (!retryable || attempt >= REPORT_MAX_ATTEMPTS) {
+        console.error(`Report delivery to ${dest.kind} #${dest.id}${recipient ? ` (${recipient})` : ""} failed after ${attempt} attempt(s):`, e.message || e);
+        return { ok: false, error: e };
+      }
+      await sleep(e.retryAfterMs ?? REPORT_RETRY_BASE_MS * 2 ** (attempt - 1));
+    }
+  }
+}
+
+/**
+ * deliverReport(guildId, report)
+ * Sends a buildReport() result to every destination of the guild; DM subscribers get their own
+ * cut (buildSubscriberDm) if their frequency matches the report's cadence. A DM Discord refuses
+ * outright (50007) pauses that subscription. Returns { sent, failed } counted per
+ * channel/webhook and per DM subscriber; both 0 means there was nowhere to send it.
+ */
+async function deliverReport(guildId, report) {
+  const { embeds, files = [] } = report;
+  const isLast = i => i + 10 >= embeds.length; // attachments ride along with the last batch
+  ensureDefaultDestinations(guildId);
+  let sent = 0, failed = 0;
+  for (const dest of listReportDestinations.all({ guild_id: guildId })) {
+    let ok = true;
+    if (dest.kind === "webhook") {
+      for (let i = 0; i < embeds.length && ok; i += 10) {
+        ({ ok } = await sendWithRetry(guildId, dest, null, () => postWebhook(dest.target, { username: "Ranch Report", embeds: embeds.slice(i, i + 10) }, isLast(i) ? files : [])));
+      }
+    } else if (dest.kind === "channel") {
+      for (let i = 0; i < embeds.length && ok; i += 10) {
+        ({ ok } = await sendWithRetry(guildId, dest, null, async () => {
+          const channel = await client.channels.fetch(dest.target);
+          await channel.send({ embeds: embeds.slice(i, i + 10), files: isLast(i) ? files : [] });
+        }));
+      }
+    } else if (dest.kind === "dm") {
+      for (const s of listActiveSubscribers.all({ guild_id: guildId, frequency: report.cadence })) {
+        let res = { ok: true };
+        for (const part of buildSubscriberDm(guildId, report, s)) {
+          res = await sendWithRetry(guildId, dest, s.discord_id, async () => {
+            const u = await client.users.fetch(s.discord_id);
+            await u.send(part);
+          });
+          if (!res.ok) break;
+        }
+        if (res.ok) { sent++; continue; }
+        failed++;
+        if (res.error && res.error.code === 50007) {
+          pauseSubscriber.run({ guild_id: guildId, discord_id: s.discord_id, paused_at: Date.now(), pause_reason: "Discord refused the DM (DMs closed or no shared server)" });
+          console.log("Paused DM reports for", s.discord_id, "in", guildId);
+        }
+      }
+      continue;
+    }
+    if (ok) sent++; else failed++;
+  }
+  return { sent, failed };
+}
+
+// ----------------- Weekly report & reset -----------------
+// summary, per-ranch section (only when logs carry ranch ids) and per-person embeds for a
+// period snapshot, with the per-user totals attached as CSV. The snapshot and display names
+// come along for buildSubscriberDm().
+// cadence picks which DM subscribers get it (their frequency preference)
+async function buildReport(guildId, snapshot, guild, label, { heading = "Weekly", cadence = "weekly" } = {}) {
+  const { overall, users, ranches } = snapshot;
+  const displays = new Map();
+  for (const u of users) {
+    displays.set(u.discord_id, await getDisplayNameForGuild(u.discord_id, guild).catch(() => u.discord_id || "Unknown"));
+  }
+
+  const embeds = [buildSummaryEmbed(guildId, overall, `${heading} Summary — ${label}`)];
+  if (ranches.some(r => r.ranch_id !== null)) {
+    embeds.push(buildRanchComparisonEmbed(ranches, `Ranch Comparison — ${label}`));
+    for (const r of ranches) embeds.push(buildSummaryEmbed(guildId, r, `${r.label} — ${label}`, { color: 0x8e44ad }));
+  }
+  // numbered by rank, as on /leaderboard and in the DMs
+  const ranked = users.slice().sort((a, b) => b.totalRevenue - a.totalRevenue);
+  for (let j = 0; j < ranked.length; j++) {
+    embeds.push(buildPersonEmbed(guildId, j + 1, displays.get(ranked[j].discord_id), ranked[j], { description: "Items collected", color: 0x3498db, footer: `Ranch report • ${label}` }));
+  }
+  const files = [{ attachment: Buffer.from(toCsv(userTotalsRows(users, displays), userTotalsColumns(guildId))), name: `ranch-${heading.toLowerCase()}-report-${formatZonedDate(guildTimezone(guildId), Date.now())}.csv` }];
+  return { embeds, files, snapshot, label, heading, cadence, displays };
+}
+
+// split on line breaks into chunks Discord accepts as one message
+function splitMessage(text, max = 2000) {
+  const chunks = [];
+  let cur = "";
+  for (const line of text.split("\n")) {
+    if (cur && cur.length + line.length + 1 > max) { chunks.push(cur); cur = ""; }
+    cur += (cur ? "\n" : "") + line.slice(0, max);
+  }
+  if (cur.trim()) chunks.push(cur);
+  return chunks;
+}
+
+/**
+ * buildSubscriberDm(guildId, report, sub)
+ * One subscriber's DM from a built report, cut down to their preferences: the ranch filter
+ * swaps in that ranch's totals and collectors, scope keeps everyone, the top N or only their own
+ * line (ranked by total revenue). Returns the messages to send, as strings or { embeds }.
+ */
+function buildSubscriberDm(guildId, report, sub) {
+  const { snapshot, label, heading, displays } = report;
+  const ranch = sub.ranch_id !== null
+    ? snapshot.ranches.find(r => r.ranch_id === sub.ranch_id) || { ranch_id: sub.ranch_id, label: ranchLabel(guildId, sub.ranch_id), collectors: 0, ...buildTotals(guildId, []) }
+    : null;
+  const overall = ranch || snapshot.overall;
+  const ranked = (ranch ? (snapshot.ranchUsers || {})[ranch.ranch_id] || [] : snapshot.users)
+    .slice()
+    .sort((a, b) => b.totalRevenue - a.totalRevenue)
+    .map((u, i) => ({ ...u, rank: i + 1, display: displays.get(u.discord_id) || u.discord_id }));
+  const shown = sub.scope === "me" ? ranked.filter(u => u.discord_id === sub.discord_id)
+    : sub.scope === "top" ? ranked.slice(0, sub.top_n || 10)
+    : ranked;
+  const scopeLabel = ranch ? `${ranch.label} • ${label}` : label;
+  const none = sub.scope === "me" ? `You have no entries (${scopeLabel}).` : `No collectors found (${scopeLabel}).`;
+
+  if (sub.format === "embed") {
+    const embeds = [buildSummaryEmbed(guildId, overall, `${heading} Summary — ${scopeLabel}`)];
+    if (!ranch && sub.scope === "full" && snapshot.ranches.some(r => r.ranch_id !== null)) embeds.push(buildRanchComparisonEmbed(snapshot.ranches, `Ranch Comparison — ${label}`));
+    for (const u of shown) embeds.push(buildPersonEmbed(guildId, u.rank, u.display, u, { description: "Items collected", color: 0x3498db, footer: `Ranch report • ${scopeLabel}` }));
+    if (!shown.length) embeds[0].footer = { text: none };
+    const batches = [];
+    for (let i = 0; i < embeds.length; i += 10) batches.push({ embeds: embeds.slice(i, i + 10) });
+    return batches;
+  }
+
+  let text = `${heading} Ranch Totals (${scopeLabel})\n${formatItemCounts(guildId, overall.items, { sep: "\n", bold: false, showZero: true })}\nTotal items: ${overall.totalItems}\nItems Revenue: $${overall.itemsRevenue.toFixed(2)}\nHerd Net: $${overall.herdNet.toFixed(2)}\nTotal Revenue: $${overall.totalRevenue.toFixed(2)}\n\n`;
+  if (!ranch && sub.scope === "full" && snapshot.ranches.some(r => r.ranch_id !== null)) {
+    text += "Per-ranch:\n";
+    snapshot.ranches.forEach((r, i) => { text += `${i+1}. ${r.label} — Items:${r.totalItems} ItemsRev:$${r.itemsRevenue.toFixed(2)} HerdNet:$${r.herdNet.toFixed(2)} Total:$${r.totalRevenue.toFixed(2)} Collectors:${r.collectors}\n`; });
+    text += "\n";
+  }
+  text += sub.scope === "me" ? "You:\n" : sub.scope === "top" ? `Top ${sub.top_n || 10}:\n` : "Per-person:\n";
+  if (shown.length === 0) text += `_${none}_\n`;
+  for (const u of shown) {
+    text += `${u.rank}. ${u.display} — ${formatItemCounts(guildId, u.items, { sep: " ", bold: false })} ItemsRev:$${u.itemsRevenue.toFixed(2)} HerdBought:${u.herdBought} HerdSold:${u.herdSold} HerdNet:$${u.herdNet.toFixed(2)} Total:$${u.totalRevenue.toFixed(2)}\n`;
+  }
+  return splitMessage(text);
+}
+
+async function fetchGuild(guildId) {
+  try { return client.guilds.cache.get(guildId) || await client.guilds.fetch(guildId).catch(() => null); } catch (e) { return null; }
+}
+
+// the open period so far: every open row, however old, as the next rollover would archive it. Read-only
+async function buildCurrentReport(guildId, guild) {
+  return buildReport(guildId, buildPeriodSnapshot(guildId, null), guild, `${openPeriodLabel(guildId)}, so far`);
+}
+
+async function performReport(guildId) {
+  try {
+    const res = await deliverReport(guildId, await buildCurrentReport(guildId, await fetchGuild(guildId)));
+    console.log("report:", guildId, `sent to ${res.sent}, failed for ${res.failed}.`);
+    return res;
+  } catch (err) {
+    console.error("Error running report:", err);
+    return { sent: 0, failed: 0, error: String(err.message || err) };
+  }
+}
+
+// closes the week up to closedTs into a period whether or not anyone gets a report, and posts a
+// one-line notice in the rollover channel if the guild set one. Scheduled runs pass the time the
+// run was due, so a catch-up after downtime closes the week it missed, not the one ending now.
+async function performRollover(guildId, { ranchId = null, closedBy = "schedule", closedTs = Date.now() } = {}) {
+  const period = closePeriod(guildId, { since_ts: closedTs - 7 * 24 * 60 * 60 * 1000, ranch_id: ranchId, closed_by: closedBy, closed_ts: closedTs });
+  console.log("Rollover:", guildId, `closed period #${period.number},`, "archived", period.gather_count, "rows.");
+  const cfg = getGuildConfig.get({ guild_id: guildId }) || {};
+  if (cfg.rollover_channel_id) {
+    const channel = await client.channels.fetch(cfg.rollover_channel_id).catch(e => { console.error("Failed to fetch rollover channel", e); return null; });
+    const total = period.snapshot.overall.totalRevenue;
+    if (channel) await channel.send(`📦 Closed ${periodLabel(guildId, period)}: ${period.gather_count} entries, $${total.toFixed(2)} total revenue. See /period show number:${period.number}.`).catch(e => console.error("Rollover notice failed:", e));
+  }
+  return period;
+}
+
+async function performWeeklyReportAndReset(guildId, { closedBy = "schedule", closedTs = Date.now() } = {}) {
+  try {
+    // close the week first so the report is exactly what was archived
+    const period = await performRollover(guildId, { closedBy, closedTs });
+    const res = await deliverReport(guildId, await buildReport(guildId, period.snapshot, await fetchGuild(guildId), periodLabel(guildId, period)));
+    console.log("weekly report:", guildId, `sent to ${res.sent}, failed for ${res.failed}.`);
+    return { period: period.number, rows: period.gather_count, ...res };
+  } catch (err) {
+    console.error("Error running weekly report & reset:", err);
+    return { error: String(err.message || err) };
+  }
+}
+
+// last 24h of the open period, without archiving anything
+async function performDailyDigest(guildId) {
+  try {
+    const snapshot = buildPeriodSnapshot(guildId, Date.now() - 24 * 60 * 60 * 1000);
+    const res = await deliverReport(guildId, await buildReport(guildId, snapshot, await fetchGuild(guildId), "last 24 hours", { heading: "Daily", cadence: "daily" }));
+    console.log("daily digest:", guildId, `sent to ${res.sent}, failed for ${res.failed}.`);
+    return res;
+  } catch (err) {
+    console.error("Error running daily digest:", err);
+  }
+}
+
+// ----------------- Scheduler -----------------
+const MINUTE_MS = 60 * 1000;
+const SCHEDULE_CATCHUP_MS = 7 * 24 * 60 * 60 * 1000; // missed runs older than this are dropped, not caught up
+
+/**
+ * parseCron(expr)
+ * Standard 5-field cron "minute hour day-of-month month day-of-week" with *, lists, ranges and
+ * steps (e.g. "0 9 * * 1", "30 21 * * *", "0 *\/6 * * 1-5"), or @hourly/@daily/@weekly/@monthly.
+ * Day-of-week 0 and 7 are both Sunday. Returns null when malformed, or when it can never fire
+ * (a day-of-month none of its months has, e.g. "0 0 31 2 *").
+ */
+function parseCron(expr) {
+  const aliases = { "@hourly": "0 * * * *", "@daily": "0 0 * * *", "@weekly": "0 0 * * 0", "@monthly": "0 0 1 * *" };
+  const src = String(expr || "").trim().toLowerCase();
+  const fields = (aliases[src] || src).split(/\s+/);
+  if (fields.length !== 5) return null;
+  const bounds = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+  const sets = [];
+  for (let i = 0; i < 5; i++) {
+    const [lo, hi] = bounds[i];
+    const set = new Set();
+    for (const part of fields[i].split(",")) {
+      const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!m) return null;
+      const from = m[1] === "*" ? lo : Number(m[2]);
+      const to = m[1] === "*" ? hi : m[3] !== undefined ? Number(m[3]) : m[4] ? hi : from;
+      const step = m[4] ? Number(m[4]) : 1;
+      if (from < lo || to > hi || from > to || step < 1) return null;
+      for (let v = from; v <= to; v += step) set.add(i === 4 && v === 7 ? 0 : v);
+    }
+    sets.push(set);
+  }
+  // with a day-of-week too, the day-of-week alone can fire it
+  const longest = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  if (fields[2] !== "*" && fields[4] === "*" && ![...sets[3]].some(month => [...sets[2]].some(day => day <= longest[month - 1]))) return null;
+  return { minute: sets[0], hour: sets[1], dom: sets[2], month: sets[3], dow: sets[4], domAny: fields[2] === "*", dowAny: fields[4] === "*" };
+}
+
+// like classic cron, a restricted day-of-month and day-of-week match if either does
+function cronDayMatches(cron, parts) {
+  if (!cron.month.has(parts.month)) return false;
+  if (cron.domAny || cron.dowAny) return cron.dom.has(parts.day) && cron.dow.has(parts.weekday);
+  return cron.dom.has(parts.day) || cron.dow.has(parts.weekday);
+}
+
+function cronMatches(cron, parts) {
+  return cron.minute.has(parts.minute) && cron.hour.has(parts.hour) && cronDayMatches(cron, parts);
+}
+
+// minutes from parts (zoned, on the minute) to the next local time the cron may fire at: 0 when it
+// fires at parts, else the next matching minute of the hour, the next hour, or near the end of a day
+// it doesn't fire on (an hour short of midnight, so a DST change can't carry it past the next day's start)
+function cronSkipMinutes(cron, parts) {
+  if (!cronDayMatches(cron, parts)) return Math.max((23 - parts.hour) * 60 - parts.minute, 60 - parts.minute);
+  if (!cron.hour.has(parts.hour)) return 60 - parts.minute;
+  if (cron.minute.has(parts.minute)) return 0;
+  const later = [...cron.minute].filter(m => m > parts.minute);
+  return (later.length ? Math.min(...later) : 60) - parts.minute;
+}
+
+// latest minute in (afterTs, upToTs] the cron fires at, or null
+function latestDueTs(cron, tz, afterTs, upToTs) {
+  for (let ts = Math.floor(upToTs / MINUTE_MS) * MINUTE_MS; ts > afterTs; ts -= MINUTE_MS) {
+    if (cronMatches(cron, getZonedDateParts(tz, ts))) return ts;
+  }
+  return null;
+}
+
+// earliest minute after fromTs the cron fires at, looking at most `withinMs` ahead, or null
+function nextDueTs(cron, tz, fromTs = Date.now(), withinMs = 32 * 24 * 60 * 60 * 1000) {
+  for (let ts = (Math.floor(fromTs / MINUTE_MS) + 1) * MINUTE_MS; ts <= fromTs + withinMs;) {
+    const skip = cronSkipMinutes(cron, getZonedDateParts(tz, ts));
+    if (skip === 0) return ts;
+    ts += skip * MINUTE_MS;
+  }
+  return null;
+}
+
+// what a schedule can run. run(guildId) is awaited and should handle its own errors; whatever
+// summary object it resolves to goes into the audit log
+const scheduleJobs = new Map(); // name -> { description, run(guildId, { due }) }
+function registerScheduleJob(name, job) {
+  scheduleJobs.set(name, job);
+}
+registerScheduleJob("weekly_report", { description: "Weekly report & rollover", run: (guildId, { due }) => performWeeklyReportAndReset(guildId, { closedTs: due }) });
+registerScheduleJob("report", { description: "Report the open period so far (no rollover)", run: guildId => performReport(guildId) });
+registerScheduleJob("rollover", {
+  description: "Rollover: close the open period (no report)",
+  run: (guildId, { due }) => performRollover(guildId, { closedTs: due }).then(p => ({ period: p.number, rows: p.gather_count })).catch(e => { console.error("Error running rollover:", e); return { error: String(e.message || e) }; })
+});
+registerScheduleJob("daily_digest", { description: "Last 24h digest (no reset)", run: guildId => performDailyDigest(guildId) });
+
+// a new or edited schedule starts counting from now instead of catching up on runs under its old timing
+function markScheduleChanged(id) {
+  setMeta.run({ key: `schedule_last_run:${id}`, value: String(Date.now()) });
+  scheduleCursor.delete(id);
+}
+
+function scheduleLastRun(s) {
+  const r = getMeta.get({ key: `schedule_last_run:${s.id}` });
+  return r && r.value ? Number(r.value) : null;
+}
+
+function formatSchedule(s, tz) {
+  const cron = parseCron(s.cron);
+  const next = cron ? nextDueTs(cron, tz) : null;
+  const last = scheduleLastRun(s);
+  const job = scheduleJobs.get(s.job);
+  return `**${s.name}** — \`${s.cron}\` → ${job ? job.description : `unknown job ${s.job}`}` +
+    ` • next: ${next ? `<t:${Math.floor(next / 1000)}:f>` : "never"} • last run: ${last ? `<t:${Math.floor(last / 1000)}:R>` : "never"}`;
+}
+
+// guilds start with the classic weekly report, at the time an old /set_report_schedule picked if any.
+// only seeded once so a guild can remove it
+function ensureDefaultSchedule(guildId) {
+  const seededKey = `schedules_seeded:${guildId}`;
+  if (getMeta.get({ key: seededKey })) return;
+  let sch = { weekday: DEFAULT_WEEKDAY, hour: DEFAULT_HOUR, minute: DEFAULT_MINUTE };
+  const legacy = getMeta.get({ key: `report_schedule:${guildId}` });
+  try { if (legacy && legacy.value) sch = JSON.parse(legacy.value); } catch (e) { /* keep defaults */ }
+  if (!getScheduleByName.get({ guild_id: guildId, name: "weekly" })) {
+    upsertSchedule.run({ guild_id: guildId, name: "weekly", cron: `${Number(sch.minute)} ${Number(sch.hour)} * * ${Number(sch.weekday)}`, job: "weekly_report", created_by: "default", created_at: Date.now() });
+  }
+  setMeta.run({ key: seededKey, value: "1" });
+}
+
+/**
+ * Each tick looks for the latest occurrence of every schedule since its last run (capped at
+ * SCHEDULE_CATCHUP_MS), so a run missed while the bot was offline fires once on startup.
+ * scheduleCursor remembers how far each schedule was already scanned so ticks stay cheap.
+ */
+const scheduleCursor = new Map(); // schedule id -> ts scanned up to
+let schedulerBusy = false;
+async function runDueSchedules() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
+  try {
+    const now = Date.now();
+    for (const s of listAllSchedules.all()) {
+      try {
+        const cron = parseCron(s.cron);
+        const job = scheduleJobs.get(s.job);
+        if (!cron || !job) continue;
+        const after = Math.max(scheduleLastRun(s) ?? s.created_at, scheduleCursor.get(s.id) ?? -Infinity, now - SCHEDULE_CATCHUP_MS);
+        const due = latestDueTs(cron, s.timezone || DEFAULT_TIMEZONE, after, now);
+        scheduleCursor.set(s.id, Math.floor(now / MINUTE_MS) * MINUTE_MS);
+        if (due === null) continue;
+        const late = now - due >= 2 * MINUTE_MS;
+        console.log(`Running schedule "${s.name}" (${s.job}) for ${s.guild_id}${late ? `, catching up on ${new Date(due).toISOString()}` : ""}`);
+        // marked before running so a crash mid-job doesn't repeat a reset on the next start
+        setMeta.run({ key: `schedule_last_run:${s.id}`, value: String(due) });
+        const result = await job.run(s.guild_id, { due });
+        audit(s.guild_id, `schedule:${s.name}`, "schedule.run", { params: { job: s.job, cron: s.cron, due: new Date(due).toISOString() }, affected: result && typeof result === "object" ? result : null });
+      } catch (e) {
+        console.error("Scheduler error:", s.guild_id, s.name, e);
+      }
+    }
+  } finally {
+    schedulerBusy = false;
+  }
+}
+
+function startScheduler() {
+  for (const g of listGuildConfigs.all()) ensureDefaultSchedule(g.guild_id);
+  for (const s of listAllSchedules.all()) console.log("Schedule:", s.guild_id, s.name, s.cron, s.job, `(${s.timezone || DEFAULT_TIMEZONE})`);
+  runDueSchedules();
+  setInterval(runDueSchedules, MINUTE_MS);
+}
+
+// ----------------- Backfill jobs -----------------
+async function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+const BACKFILL_BATCH = 100;
+const BACKFILL_FETCH_ATTEMPTS = 5;
+const BACKFILL_PROGRESS_MS = 5000; // how often the progress message is edited
+const BACKFILL_DEFAULT_DAYS = 365;
+const BACKFILL_DEFAULT_MAX = 200000;
+const backfillRuns = new Map(); // job id -> promise, so one job is never walked twice at once
+
+// the smallest message id Discord could have assigned at ts; fetching before it starts at ts
+function snowflakeAt(ts) {
+  return ((BigInt(ts) - 1420070400000n) << 22n).toString();
+}
+
+/**
+ * startBackfillJob(guildId, { sinceTs, untilTs, maxMessages, startedBy })
+ * - records a job covering every listen channel of the guild; runBackfillJob() does the work.
+ * - maxMessages caps the messages scanned per channel.
+ * Returns the job row, or { error } when the guild already has a running job.
+ */
+function startBackfillJob(guildId, { sinceTs = null, untilTs = null, maxMessages = BACKFILL_DEFAULT_MAX, startedBy = "system" } = {}) {
+  return db.transaction(() => {
+    const running = getRunningBackfillJob.get({ guild_id: guildId });
+    if (running) return { error: `Backfill #${running.id} is still running; see /backfill status or /backfill cancel.` };
+    const channels = listListenChannels.all({ guild_id: guildId });
+    if (channels.length === 0) return { error: "No listen channels to backfill; add one with /setup listen_add." };
+    const info = insertBackfillJob.run({ guild_id: guildId, since_ts: sinceTs, until_ts: untilTs, max_messages: maxMessages, started_by: startedBy, started_at: Date.now() });
+    const jobId = Number(info.lastInsertRowid);
+    for (const { channel_id } of channels) insertBackfillJobChannel.run({ job_id: jobId, channel_id, before_id: untilTs ? snowflakeAt(untilTs) : null });
+    return getBackfillJob.get({ id: jobId });
+  })();
+}
+
+/**
+ * runBackfillJob(jobId)
+ * - walks the job's channels one after another, picking each up from its saved cursor, so a job
+ *   interrupted by a restart carries on where it was. Re-running over logged messages only
+ *   counts them as duplicates.
+ * - stops early once the job is cancelled.
+ * Resolves to the finished job row.
+ */
+function runBackfillJob(jobId) {
+  if (backfillRuns.has(jobId)) return backfillRuns.get(jobId);
+  const run = (async () => {
+    const job = getBackfillJob.get({ id: jobId });
+    let error = null;
+    try {
+      for (const ch of listBackfillJobChannels.all({ job_id: jobId })) {
+        if (ch.status === "done" || ch.status === "failed") continue;
+        if (!(await backfillChannel(job, ch))) break;
+      }
+    } catch (e) {
+      console.error("backfill fatal:", e);
+      error = String(e.message || e).slice(0, 300);
+    }
+    finishBackfillJob.run({ id: jobId, status: error ? "failed" : "done", finished_at: Date.now(), error });
+    const done = getBackfillJob.get({ id: jobId });
+    const channels = listBackfillJobChannels.all({ job_id: jobId });
+    const sum = key => channels.reduce((a, c) => a + c[key], 0);
+    audit(done.guild_id, done.started_by, "backfill", {
+      params: { job: jobId, since_ts: done.since_ts, until_ts: done.until_ts, max_messages: done.max_messages },
+      affected: { status: done.status, scanned: sum("scanned"), inserted: sum("inserted"), duplicates: sum("duplicates") }
+    });
+    console.log(`Backfill #${jobId} ${done.status}:`, `scanned ${sum("scanned")}, inserted ${sum("inserted")}.`);
+    await updateBackfillProgress(done);
+    return done;
+  })().finally(() => backfillRuns.delete(jobId));
+  backfillRuns.set(jobId, run);
+  return run;
+}
+
+// returns false when the job was cancelled in the meantime
+async function backfillChannel(job, ch) {
+  const state = { ...ch, status: "running", error: null };
+  const save = () => saveBackfillJobChannel.run(state);
+  const channel = await client.channels.fetch(ch.channel_id).catch(e => { console.error("Failed to fetch channel", e); return null; });
+  if (!channel || !channel.messages) {
+    Object.assign(state, { status: "failed", error: "channel not reachable" });
+    save();
+    return true;
+  }
+  save();
+
+  let lastProgress = 0;
+  let reachedSince = false;
+  while (!reachedSince && state.scanned < job.max_messages) {
+    if (getBackfillJob.get({ id: job.id }).status !== "running") {
+      state.status = "cancelled";
+      save();
+      return false;
+    }
+
+    const opts = { limit: BACKFILL_BATCH };
+    if (state.before_id) opts.before = state.before_id;
+    let batch = null;
+    for (let attempt = 1; !batch; attempt++) {
+      try { batch = await channel.messages.fetch(opts); } catch (e) {
+        if (attempt >= BACKFILL_FETCH_ATTEMPTS) {
+          Object.assign(state, { status: "failed", error: String(e.message || e).slice(0, 200) });
+          save();
+          return true;
+        }
+        console.error(`backfill fetch error (attempt ${attempt}), sleeping 5s`, e.message || e);
+        await sleep(5000);
+      }
+    }
+    if (batch.size === 0) break;
+
+    // newest first, so the cursor only ever moves back in time
+    for (const m of batch.values()) {
+      if (state.scanned >= job.max_messages) break;
+      if (job.since_ts && m.createdTimestamp < job.since_ts) { reachedSince = true; break; }
+      state.scanned++;
+      state.before_id = m.id;
+      state.oldest_ts = m.createdTimestamp;
+      const counts = ingestBackfillMessage(job.guild_id, m);
+      state.inserted += counts.inserted;
+      state.duplicates += counts.duplicates;
+    }
+    save();
+
+    if (batch.size < BACKFILL_BATCH) break;
+    if (Date.now() - lastProgress >= BACKFILL_PROGRESS_MS) {
+      lastProgress = Date.now();
+      await updateBackfillProgress(getBackfillJob.get({ id: job.id }));
+    }
+    await sleep(500);
+  }
+
+  state.status = "done";
+  save();
+  return true;
+}
+
+// { inserted, duplicates } for the message's gather events; rows older than a past close are filed
+// under that period (fileInClosedPeriod)
+function ingestBackfillMessage(guildId, m) {
+  const counts = { inserted: 0, duplicates: 0 };
+  const { text, events } = messageGatherEvents(m, guildId);
+  // events that only name a character wait in /parse_failures for a /link, as live logs do
+  if (events.length && (m.webhookId || (m.author && m.author.bot))) keepForReview(guildId, { ts: m.createdTimestamp, message: m }, text, events);
+  for (const ev of events) {
+    if (!ev.discord_id) continue;
+    if (heldAsDuplicate(ev.event_key)) { counts.duplicates++; continue; }
+    // history has no reliable arrival times, so only a repeated webhook event counts as a duplicate here
+    if (ev.webhook_event && findDuplicateGather.get({ guild_id: guildId, fingerprint: ev.fingerprint, since_ts: 0 })) { counts.duplicates++; continue; }
+    try {
+      const row = gatherRow(guildId, { ts: m.createdTimestamp, channel_id: m.channelId, message_id: m.id }, ev);
+      fileInClosedPeriod(guildId, Number(insertGather.run(row).lastInsertRowid), row);
+      counts.inserted++;
+    } catch (e) {
+      if (String(e).includes("UNIQUE constraint failed")) counts.duplicates++; // already logged
+      else console.error("DB insert error during backfill:", e);
+    }
+  }
+  return counts;
+}
+
+const BACKFILL_STATUS_ICONS = { pending: "⏸️", running: "⏳", done: "✅", cancelled: "🛑", failed: "❌" };
+
+function formatBackfillJob(job) {
+  const tz = guildTimezone(job.guild_id);
+  const window = `${job.since_ts ? formatZonedDate(tz, job.since_ts) : "the beginning"} → ${job.until_ts ? formatZonedDate(tz, job.until_ts - 1) : "now"}`;
+  const by = /^\d{17,20}$/.test(job.started_by || "") ? ` by <@${job.started_by}>` : "";
+  const head = `${BACKFILL_STATUS_ICONS[job.status] || ""} **Backfill #${job.id}** — ${job.status} · ${window} · started${by} <t:${Math.floor(job.started_at / 1000)}:R>${job.finished_at ? ` · ended <t:${Math.floor(job.finished_at / 1000)}:R>` : ""}`;
+  const lines = listBackfillJobChannels.all({ job_id: job.id }).map(c => {
+    const reached = c.oldest_ts ? ` · back to ${formatZonedDate(tz, c.oldest_ts)}` : "";
+    return `${BACKFILL_STATUS_ICONS[c.status] || ""} <#${c.channel_id}> — scanned ${c.scanned}/${job.max_messages} · inserted ${c.inserted} · already logged ${c.duplicates}${reached}${c.error ? ` · ${c.error}` : ""}`;
+  });
+  return [head, ...lines, job.error ? `Error: ${job.error}` : null].filter(Boolean).join("\n").slice(0, 2000);
+}
+
+// edits the job's live progress message, if it has one
+async function updateBackfillProgress(job) {
+  if (!job.progress_channel_id || !job.progress_message_id) return;
+  try {
+    const channel = await client.channels.fetch(job.progress_channel_id);
+    await channel.messages.edit(job.progress_message_id, { content: formatBackfillJob(job), allowedMentions: { parse: [] } });
+  } catch (e) {
+    console.error("Backfill progress update failed:", e.message || e);
+  }
+}
+
+// jobs that were running when the bot stopped carry on from their cursors
+function resumeBackfillJobs() {
+  for (const job of listRunningBackfillJobs.all()) {
+    console.log(`Resuming backfill #${job.id} for`, job.guild_id);
+    runBackfillJob(job.id).catch(e => console.error("Error resuming backfill:", e));
+  }
+}
+
+// ----------------- Parse-failure inbox -----------------
+/**
+ * reprocessParseFailures({ guildId, id, reason })
+ * - guildId: the guild whose inbox is retried.
+ * - id: only retry that entry; otherwise every pending one.
+ * - reason: only entries kept for that reason ("unparsed" or "no_mention").
+ * The stored message is read the way the listener reads it (messageGatherEvents), so its events get
+ * the same keys an edit of the message would match. An entry is resolved once every event in it
+ * went to a member; events already stored, or held in /duplicates, are skipped, and likely repeats
+ * are held like live ones. Events logged before a past close go to that period (fileInClosedPeriod).
+ * Returns { checked, inserted, flagged, noMention, stillFailing }.
+ */
+function reprocessParseFailures({ guildId, id = null, reason = null } = {}) {
+  const rows = (id
+    ? [getParseFailure.get({ guild_id: guildId, id })].filter(r => r && r.status === "pending")
+    : listPendingParseFailures.all({ guild_id: guildId })).filter(r => !reason || r.reason === reason);
+  const result = { checked: rows.length, inserted: 0, flagged: 0, noMention: 0, stillFailing: 0 };
+  for (const row of rows) {
+    const { events } = messageGatherEvents(storedMessage(row), guildId);
+    if (!events.length) { result.stillFailing++; continue; }
+    let failed = false;
+    for (const ev of events) {
+      if (!ev.discord_id || heldAsDuplicate(ev.event_key) || gatherEventExists.get({ event_key: ev.event_key })) continue;
+      const fields = gatherRow(guildId, row, ev);
+      try {
+        if (holdIfDuplicate(guildId, fields, ev)) { result.flagged++; continue; }
+        fileInClosedPeriod(guildId, Number(insertGather.run(fields).lastInsertRowid), fields);
+        result.inserted++;
+      } catch (e) {
+        if (!String(e).includes("UNIQUE constraint failed")) { console.error("reprocess insert error:", e); failed = true; }
+      }
+    }
+    if (failed) continue;
+    if (events.some(ev => !ev.discord_id)) {
+      result.noMention++;
+      updateParseFailure.run({ guild_id: guildId, id: row.id, text: row.text, message: null, reason: "no_mention", actor: unlinkedActors(events).join(", ") || null });
+      continue;
+    }
+    setParseFailureStatus.run({ guild_id: guildId, id: row.id, status: "resolved", resolved_at: Date.now() });
+  }
+  return result;
+}
+
+// ----------------- Interaction handlers (slash commands) -----------------
+// once a handler has deferred or replied, the error has to go out as a follow-up
+async function replyWithError(interaction) {
+  const reply = { content: "An error occurred.", ephemeral: true };
+  try {
+    if (interaction.deferred || interaction.replied) await interaction.followUp(reply);
+    else await interaction.reply(reply);
+  } catch (e) {}
+}
+
+// Danger button + Cancel; the button listener below dispatches on customId
+function confirmRow(customId, label) {
+  return {
+    type: ComponentType.ActionRow,
+    components: [
+      { type: ComponentType.Button, style: ButtonStyle.Danger, label, custom_id: customId },
+      { type: ComponentType.Button, style: ButtonStyle.Secondary, label: "Cancel", custom_id: "cancel" }
+    ]
+  };
+}
+
+client.on("interactionCreate", async (interaction) => {
+  let isChatInput = false;
+  try { isChatInput = typeof interaction.isChatInputCommand === "function" ? interaction.isChatInputCommand() : !!interaction.commandName; } catch(e) { isChatInput = !!interaction.commandName; }
+  if (!isChatInput) return;
+
+  try {
+    const name = interaction.commandName;
+    // every command reads or writes one guild's partition
+    const guildId = interaction.guildId;
+    if (!guildId) { await interaction.reply({ content: "Use this command in a server.", ephemeral: true }); return; }
+    const required = commandCapability(name, interaction.options.getSubcommand(false));
+    if (required && !hasCapability(interaction, required)) { await interaction.reply({ content: missingCapabilityMessage(required), ephemeral: true }); return; }
+
+    if (name === "totals") {
+      const ranch = resolveRanchOption(guildId, interaction.options.getString("ranch"));
+      if (ranch.error) { await interaction.reply({ content: ranch.error, ephemeral: true }); return; }
+      const range = parseTimeRange(interaction.options.getString("since"), interaction.options.getString("until"), guildTimezone(guildId));
+      if (range.error) { await interaction.reply({ content: range.error, ephemeral: true }); return; }
+      const t = buildTotals(guildId, itemTotals.all({ guild_id: guildId, ranch_id: ranch.ranch_id, since_ts: range.sinceTs, until_ts: range.untilTs, discord_id: null, open_only: openOnly(range.sinceTs, range.untilTs) }));
+      const scope = [ranch.ranch_id !== null ? ranchLabel(guildId, ranch.ranch_id) : null, range.sinceTs !== null || range.untilTs !== null ? range.label : null].filter(Boolean);
+      const heading = scope.length ? `**Totals — ${scope.join(" • ")}**` : "**Totals**";
+      await interaction.reply(`${heading}\n${formatItemCounts(guildId, t.items, { sep: "\n", showZero: true })}`);
+      return;
+    }
+
+    if (name === "leaderboard") {
+      const limit = Math.max(1, Math.min(200, interaction.options.getInteger("limit") || 50));
+      const ranch = resolveRanchOption(guildId, interaction.options.getString("ranch"));
+      if (ranch.error) { await interaction.reply({ content: ranch.error, ephemeral: true }); return; }
+      const sort = (interaction.options.getString("sort_by") || "revenue").trim().toLowerCase();
+      if (!leaderboardSort(guildId, sort)) { await interaction.reply({ content: `Unknown sort "${sort}". Use items, revenue, herd_net or an item key from /items list.`, ephemeral: true }); return; }
+      const range = parseTimeRange(interaction.options.getString("since"), interaction.options.getString("until"), guildTimezone(guildId));
+      if (range.error) { await interaction.reply({ content: range.error, ephemeral: true }); return; }
+      const rows = userItemTotals.all({ guild_id: guildId, ranch_id: ranch.ranch_id, since_ts: range.sinceTs, until_ts: range.untilTs, open_only: openOnly(range.sinceTs, range.untilTs) });
+      if (!rows || rows.length === 0) { await interaction.reply("No data yet."); return; }
+
+      await interaction.deferReply();
+      await interaction.editReply(await buildLeaderboardPage(guildId, interaction.guild, { sort, page: 0, ranchId: ranch.ranch_id, sinceTs: range.sinceTs, untilTs: range.untilTs, limit }));
+      return;
+    }
+
+    if (name === "mystats" || name === "stats") {
+      const target = name === "stats" ? (interaction.options.getUser("user") || interaction.user) : interaction.user;
+      const range = parseTimeRange(interaction.options.getString("since"), null, guildTimezone(guildId));
+      if (range.error) { await interaction.reply({ content: range.error, ephemeral: true }); return; }
+      const display = await getDisplayNameForGuild(target.id, interaction.guild).catch(() => target.id);
+      await interaction.reply({ embeds: [buildMemberStatsEmbed(guildId, target.id, display, range)], ephemeral: name === "mystats" });
+      return;
+    }
+
+    if (name === "gather") {
+      const sub = interaction.options.getSubcommand();
+      const tz = guildTimezone(guildId);
+
+      if (sub === "list") {
+        const user = interaction.options.getUser("user");
+        const limit = Math.max(1, Math.min(25, interaction.options.getInteger("limit") || 15));
+        const deleted = !!interaction.options.getBoolean("deleted");
+        const rows = listMemberGathers.all({ guild_id: guildId, discord_id: user.id, limit, deleted: deleted ? 1 : 0 });
+        const changes = listMemberGatherHistory.all({ guild_id: guildId, discord_id: user.id, limit: 5 });
+        const lines = [`**${deleted ? "Deleted" : "Latest"} gathers for <@${user.id}>** (✏️ = changed by hand${deleted ? "; bring one back with /undo" : ""})`, ...(rows.length ? rows.map(g => formatGatherRow(guildId, g)) : ["_none_"])];
+        if (changes.length) lines.push("", "**Manual changes**", ...changes.map(formatGatherChange));
+        await interaction.reply({ content: lines.join("\n").slice(0, 2000), ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      const reason = (interaction.options.getString("reason") || "").trim();
+      if (!reason) { await interaction.reply({ content: "Give a reason; it is kept with the change.", ephemeral: true }); return; }
+      const whenInput = interaction.options.getString("when");
+      const when = whenInput ? parseTimePoint(whenInput, tz, Date.now()) : null;
+      if (whenInput && !when) { await interaction.reply({ content: `Couldn't read when "${whenInput}". Use a date like 2026-10-12 or 2026-10-12 18:30, or 2d / 5h ago.`, ephemeral: true }); return; }
+      const ranchInput = interaction.options.getString("ranch");
+      const ranch = ranchInput && ranchInput.trim().toLowerCase() === "none" ? { ranch_id: null } : resolveRanchOption(guildId, ranchInput);
+      if (ranch.error) { await interaction.reply({ content: ranch.error, ephemeral: true }); return; }
+
+      if (sub === "add") {
+        const user = interaction.options.getUser("user");
+        const res = validateImportRow(guildId, {
+          discord_id: user.id,
+          item_type: interaction.options.getString("type"),
+          amount: interaction.options.getInteger("amount"),
+          ts: when ? when.start : Date.now(),
+          subtype: interaction.options.getString("subtype"),
+          value: interaction.options.getNumber("value"),
+          ranch_id: ranch.ranch_id,
+          channel_id: "manual",
+          message_id: `manual:${crypto.randomUUID()}`
+        });
+        if (res.error) { await interaction.reply({ content: `Can't add that: ${res.error}.`, ephemeral: true }); return; }
+        const after = db.transaction(() => {
+          // a back-dated entry goes to the closed period covering its time
+          const id = Number(insertGather.run(res.row).lastInsertRowid);
+          fileInClosedPeriod(guildId, id, res.row);
+          const row = getGather.get({ guild_id: guildId, id });
+          recordGatherChange(guildId, "add", { after: row, reason, performed_by: interaction.user.id });
+          return row;
+        })();
+        auditCommand(interaction, { gather: after.id });
+        await interaction.reply({ content: `✅ Added ${formatGatherRow(guildId, after)}`, ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      const before = getGather.get({ guild_id: guildId, id: interaction.options.getInteger("id") });
+      if (!before) { await interaction.reply({ content: "No such gather in this server. Find ids with /gather list.", ephemeral: true }); return; }
+      const archivedNote = " It belongs to a closed period; that period's saved report is not changed.";
+      const archived = before.period_id !== null ? archivedNote : "";
+
+      if (sub === "edit") {
+        const user = interaction.options.getUser("user");
+        const type = interaction.options.getString("type");
+        const amount = interaction.options.getInteger("amount");
+        const subtype = interaction.options.getString("subtype");
+        const value = interaction.options.getNumber("value");
+        // the old animal only carries over between herd_buy and herd_sell; a new item type starts without one
+        const isHerd = t => t === "herd_buy" || t === "herd_sell";
+        const newType = type ? resolveItemType(guildId, type) : before.item_type;
+        const keepSubtype = newType === before.item_type || (isHerd(newType) && isHerd(before.item_type));
+        const res = validateImportRow(guildId, {
+          discord_id: user ? user.id : before.discord_id,
+          item_type: type ?? before.item_type,
+          amount: amount ?? before.amount,
+          ts: when ? when.start : before.ts,
+          subtype: subtype ?? (keepSubtype ? before.subtype : null),
+          value: value ?? before.value,
+          ranch_id: ranchInput ? ranch.ranch_id : before.ranch_id,
+          message_id: before.message_id
+        });
+        if (res.error) { await interaction.reply({ content: `Can't save that: ${res.error}.`, ephemeral: true }); return; }
+        const after = db.transaction(() => {
+          updateGather.run({ ...res.row, fingerprint: gatherFingerprint(guildId, res.row), id: before.id });
+          refileGather(guildId, before, { ...res.row, id: before.id });
+          const row = getGather.get({ guild_id: guildId, id: before.id });
+          recordGatherChange(guildId, "edit", { before, after: row, reason, performed_by: interaction.user.id });
+          return row;
+        })();
+        auditCommand(interaction, { gather: after.id });
+        await interaction.reply({ content: `✅ Updated ${formatGatherRow(guildId, after)}${archived || (after.period_id !== null ? archivedNote : "")}`, ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      if (sub === "delete") {
+        db.transaction(() => {
+          deleteGather.run({ guild_id: guildId, id: before.id, deleted_at: Date.now() });
+          recordGatherChange(guildId, "delete", { before, reason, performed_by: interaction.user.id });
+          recordDestructiveOp(guildId, "gather_delete", { summary: `Deleted gather #${before.id} (${before.item_type} ×${before.amount} for ${before.discord_id}): ${reason}`, payload: { gather: before }, performed_by: interaction.user.id });
+        })();
+        auditCommand(interaction, { gather: before.id });
+        await interaction.reply({ content: `✅ Deleted gather #${before.id} (undo with /undo).${archived}`, ephemeral: true });
+        return;
+      }
+      return;
+    }
+
+    if (name === "import") {
+      const file = interaction.options.getAttachment("file");
+      if (!file) { await interaction.reply({ content: "Attach a CSV or JSON file.", ephemeral: true }); return; }
+      if (file.size > IMPORT_MAX_BYTES) { await interaction.reply({ content: "That file is over 5 MB; split it into smaller imports.", ephemeral: true }); return; }
+
+      await interaction.deferReply({ ephemeral: true });
+      let records;
+      try {
+        const res = await fetch(file.url);
+        if (!res.ok) throw new Error(`download failed (${res.status})`);
+        const text = await res.text();
+        if (/\.json$/i.test(file.name) || /^\s*[\[{]/.test(text)) {
+          const parsed = JSON.parse(text);
+          records = Array.isArray(parsed) ? parsed : parsed.rows;
+          if (!Array.isArray(records)) throw new Error("expected an array of rows");
         } else {
-          await target.followUp({ embeds: batch });
+          records = parseCsv(text);
+        }
+      } catch (e) {
+        await interaction.editReply(`Could not read ${file.name}: ${e.message}`);
+        return;
+      }
+
+      const plan = planImport(guildId, records);
+      const byType = new Map();
+      for (const r of plan.rows) byType.set(r.item_type, (byType.get(r.item_type) || 0) + r.amount);
+      const lines = [
+        `**Import dry run — ${file.name}**`,
+        `Rows: ${records.length} • to import: **${plan.rows.length}** • duplicates: ${plan.duplicates} • errors: ${plan.errors.length}`
+      ];
+      if (byType.size) lines.push(Array.from(byType.entries()).map(([k, n]) => `${itemLabel(guildId, k)}: ${n}`).join(" • "));
+      if (plan.errors.length) lines.push(...plan.errors.slice(0, 10), plan.errors.length > 10 ? `…and ${plan.errors.length - 10} more errors` : null);
+      if (!plan.rows.length) { await interaction.editReply(lines.filter(Boolean).join("\n") + "\nNothing to import."); return; }
+
+      for (const [t, p] of pendingImports) if (p.expires < Date.now()) pendingImports.delete(t);
+      const token = crypto.randomBytes(6).toString("hex");
+      pendingImports.set(token, { guildId, userId: interaction.user.id, file: file.name, rows: plan.rows, expires: Date.now() + IMPORT_CONFIRM_MS });
+      lines.push("Rows dated before a closed period's end go into that period, the rest into the current (open) totals. Confirm within 15 minutes.");
+      await interaction.editReply({ content: lines.filter(Boolean).join("\n").slice(0, 2000), components: [confirmRow(`import:${token}`, `Import ${plan.rows.length} rows`)] });
+      return;
+    }
+
+    if (name === "export") {
+      const kind = interaction.options.getString("kind") || "rows";
+      const format = interaction.options.getString("format") || "csv";
+      const range = parseTimeRange(interaction.options.getString("since"), interaction.options.getString("until"), guildTimezone(guildId));
+      if (range.error) { await interaction.reply({ content: range.error, ephemeral: true }); return; }
+      const typeInput = interaction.options.getString("type");
+      const itemType = typeInput ? resolveItemType(guildId, typeInput) : null;
+      if (typeInput && !itemType) { await interaction.reply({ content: `Unknown type "${typeInput}". Use an item key from /items list, herd_buy or herd_sell.`, ephemeral: true }); return; }
+      const user = interaction.options.getUser("user");
+
+      await interaction.deferReply({ ephemeral: true });
+      const out = await buildExport(guildId, interaction.guild, { kind, format, sinceTs: range.sinceTs, untilTs: range.untilTs, discordId: user ? user.id : null, itemType });
+      if (out.data.length > EXPORT_MAX_BYTES) { await interaction.editReply(`That export is ${(out.data.length / 1024 / 1024).toFixed(1)} MB, over Discord's attachment limit. Narrow it with since/until, user or type.`); return; }
+      const scope = [range.label, user ? `<@${user.id}>` : null, itemType ? itemLabel(guildId, itemType) : null].filter(Boolean).join(" • ");
+      auditCommand(interaction, { rows: out.count });
+      await interaction.editReply({ content: `${kind === "report" ? "Per-user totals" : "Gather rows"} (${out.count}) — ${scope}. Archived periods are included.`, files: [{ attachment: out.data, name: out.name }] });
+      return;
+    }
+
+    if (name === "weekly_totals") {
+      const ranch = resolveRanchOption(guildId, interaction.options.getString("ranch"));
+      if (ranch.error) { await interaction.reply({ content: ranch.error, ephemeral: true }); return; }
+      const since_ts = sevenDaysAgoTs();
+      const rows = collectUserTotals(guildId, userItemTotals.all({ guild_id: guildId, since_ts, until_ts: null, ranch_id: ranch.ranch_id, open_only: 1 }))
+        .sort((a, b) => b.totalRevenue - a.totalRevenue);
+      if (!rows || rows.length === 0) { await interaction.reply("No data in the last 7 days."); return; }
+
+      const scope = ranch.ranch_id !== null ? ` — ${ranchLabel(guildId, ranch.ranch_id)}` : "";
+      const overall = buildTotals(guildId, itemTotals.all({ guild_id: guildId, since_ts, until_ts: null, ranch_id: ranch.ranch_id, discord_id: null, open_only: 1 }));
+      const embeds = [buildSummaryEmbed(guildId, overall, `Weekly Summary — last 7 days${scope}`)];
+
+      for (let i = 0; i < rows.length; i++) {
+        const r = rows[i];
+        const display = await getDisplayNameForGuild(r.discord_id, interaction.guild).catch(() => r.discord_id || "Unknown");
+        embeds.push(buildPersonEmbed(guildId, i + 1, display, r, { description: "Total collected", color: 0x1abc9c, footer: `Weekly totals — last 7 days${scope}` }));
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+      await sendEmbedsInBatches(interaction, embeds);
+      await interaction.followUp({ content: `Posted ${embeds.length - 1} per-person embeds (plus 1 summary).`, ephemeral: true });
+      return;
+    }
+
+    if (name === "reset_week") {
+      const ranch = resolveRanchOption(guildId, interaction.options.getString("ranch"));
+      if (ranch.error) { await interaction.reply({ content: ranch.error, ephemeral: true }); return; }
+      const scope = ranch.ranch_id !== null ? ` for ${ranchLabel(guildId, ranch.ranch_id)}` : "";
+      await interaction.reply({
+        content: `Close ${openPeriodLabel(guildId, ranch.ranch_id)}${scope} into a past period? Current totals start again from zero (undo with /undo).`,
+        components: [confirmRow(`reset_week:${ranch.ranch_id ?? "all"}`, "Reset week")],
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (name === "subscribe_reports") {
+      // options left out keep what the member picked before
+      const prev = getSubscriber.get({ guild_id: guildId, discord_id: interaction.user.id }) || {};
+      const ranchInput = interaction.options.getString("ranch");
+      const ranch = ranchInput === null ? { ranch_id: prev.ranch_id ?? null } : resolveRanchOption(guildId, ranchInput.trim().toLowerCase() === "all" ? null : ranchInput);
+      if (ranch.error) { await interaction.reply({ content: ranch.error, ephemeral: true }); return; }
+      const sub = {
+        guild_id: guildId,
+        discord_id: interaction.user.id,
+        format: interaction.options.getString("format") || prev.format || "text",
+        scope: interaction.options.getString("scope") || prev.scope || "full",
+        top_n: interaction.options.getInteger("top") ?? prev.top_n ?? null,
+        frequency: interaction.options.getString("frequency") || prev.frequency || "weekly",
+        ranch_id: ranch.ranch_id
+      };
+      if (sub.top_n !== null) sub.top_n = Math.max(1, Math.min(50, sub.top_n));
+      addSubscriber.run(sub);
+
+      ensureGuildConfig.run({ guild_id: guildId, configured_by: interaction.user.id, created_at: Date.now() });
+      ensureDefaultDestinations(guildId);
+      const notes = [];
+      if (prev.paused_at) notes.push("Your paused subscription is active again — make sure you accept DMs from this server.");
+      if (!findReportDestination.get({ guild_id: guildId, kind: "dm", target: "" })) notes.push("DMs are not a report destination on this server right now; an admin can add them with /report_destination add.");
+      if (sub.frequency === "daily" && !listSchedules.all({ guild_id: guildId }).some(s => s.job === "daily_digest")) notes.push("This server has no daily digest schedule yet, so daily DMs only start once an admin adds one with /schedule add.");
+      const scope = sub.scope === "me" ? "only your stats" : sub.scope === "top" ? `top ${sub.top_n || 10}` : "everyone";
+      await interaction.reply({ content: `✅ Subscribed to ${sub.frequency} DM reports: ${sub.format}, ${scope}, ${sub.ranch_id !== null ? ranchLabel(guildId, sub.ranch_id) : "all ranches"}.${notes.length ? `\n${notes.join("\n")}` : ""}`, ephemeral: true });
+      return;
+    }
+
+    if (name === "unsubscribe_reports") {
+      removeSubscriber.run({ guild_id: guildId, discord_id: interaction.user.id });
+      await interaction.reply({ content: "✅ Unsubscribed from weekly DM reports.", ephemeral: true });
+      return;
+    }
+
+    if (name === "link") {
+      const character = (interaction.options.getString("character") || "").replace(/\s+/g, " ").trim();
+      const target = interaction.options.getUser("user") || interaction.user;
+      if (!character || character.length > 64 || /^unknown$/i.test(character)) { await interaction.reply({ content: "Give the character name as it shows in the logs, e.g. `Bob` for `[Bob] collected 5 milk`.", ephemeral: true }); return; }
+      const current = getCharacterLink.get({ guild_id: guildId, name_key: characterKey(character) });
+      if (current && current.discord_id === target.id) { await interaction.reply({ content: `**${current.name}** is already linked to <@${target.id}>.`, ephemeral: true, allowedMentions: { parse: [] } }); return; }
+      // linking for someone else, or taking a name someone else has, is an admin override
+      if ((target.id !== interaction.user.id || current) && !hasCapability(interaction, "edit_gathers")) {
+        await interaction.reply({ content: current ? `**${current.name}** is linked to <@${current.discord_id}>. Ask an admin to move it with /link user.` : missingCapabilityMessage("edit_gathers"), ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+      db.transaction(() => {
+        setCharacterLink.run({ guild_id: guildId, name_key: characterKey(character), name: character, discord_id: target.id, linked_by: interaction.user.id, linked_at: Date.now() });
+        if (current) recordDestructiveOp(guildId, "character_relink", { summary: `Moved character ${current.name} from ${current.discord_id} to ${target.id}`, payload: { link: current }, performed_by: interaction.user.id });
+      })();
+      // logs kept because they only named a character may belong to someone now
+      const r = reprocessParseFailures({ guildId, reason: "no_mention" });
+      auditCommand(interaction, { moved_from: current ? current.discord_id : null, reattributed: r.inserted });
+      const notes = [];
+      if (r.inserted) notes.push(`Re-attributed ${r.inserted} gather${r.inserted === 1 ? "" : "s"} from earlier logs.`);
+      if (current) notes.push(`It was linked to <@${current.discord_id}>; their counted gathers stay with them (undo with /undo).`);
+      await interaction.reply({ content: `✅ **${character}** is now linked to <@${target.id}>. Logs naming this character without a mention count for them.${notes.length ? `\n${notes.join("\n")}` : ""}`, ephemeral: true, allowedMentions: { parse: [] } });
+      return;
+    }
+
+    if (name === "unlink") {
+      const link = getCharacterLink.get({ guild_id: guildId, name_key: characterKey(interaction.options.getString("character")) });
+      if (!link) { await interaction.reply({ content: "No character by that name is linked. See /characters.", ephemeral: true }); return; }
+      if (link.discord_id !== interaction.user.id && !hasCapability(interaction, "edit_gathers")) { await interaction.reply({ content: `**${link.name}** is linked to <@${link.discord_id}>, not you.`, ephemeral: true, allowedMentions: { parse: [] } }); return; }
+      deleteCharacterLink.run({ guild_id: guildId, name_key: link.name_key });
+      recordDestructiveOp(guildId, "character_unlink", { summary: `Unlinked character ${link.name} from ${link.discord_id}`, payload: { link }, performed_by: interaction.user.id });
+      auditCommand(interaction, { rows: 1 });
+      await interaction.reply({ content: `✅ Unlinked **${link.name}**. Gathers already counted for <@${link.discord_id}> stay with them.`, ephemeral: true, allowedMentions: { parse: [] } });
+      return;
+    }
+
+    if (name === "characters") {
+      const user = interaction.options.getUser("user");
+      const links = listCharacterLinks.all({ guild_id: guildId, discord_id: user ? user.id : null });
+      const lines = links.map(l => `**${l.name}** → <@${l.discord_id}>`);
+      if (!user) {
+        // names seen in logs that still wait for a /link
+        const waiting = new Map();
+        for (const f of listPendingParseFailures.all({ guild_id: guildId })) {
+          if (f.reason !== "no_mention" || !f.actor) continue;
+          for (const a of f.actor.split(", ")) waiting.set(a, (waiting.get(a) || 0) + 1);
         }
-      } else if (hasSend) {
-        await target.send({ embeds: batch });
-      } else {
-        console.error("No valid send target for embeds");
+        if (waiting.size) lines.push(...(lines.length ? [""] : []), `**Not linked yet:** ${[...waiting].map(([a, n]) => `${a} (${n} log${n === 1 ? "" : "s"})`).join(", ")}`);
       }
-    } catch (err) {
-      console.error("Failed to send embed batch:", err);
+      if (lines.length === 0) { await interaction.reply({ content: user ? `<@${user.id}> has no linked characters.` : "No characters linked yet. Members can link theirs with /link.", ephemeral: true, allowedMentions: { parse: [] } }); return; }
+      await interaction.reply({ content: `**Linked characters**${user ? ` for <@${user.id}>` : ""}\n${lines.join("\n")}`.slice(0, 2000), ephemeral: true, allowedMentions: { parse: [] } });
+      return;
     }
-  }
-}
 
-// ----------------- Weekly report & reset -----------------
-async function performWeeklyReportAndReset() {
-  try {
-    const since_ts = sevenDaysAgoTs();
-    const totals = sumTotalsSince.get({ since_ts, ranch_id: null, discord_id: null });
-    const eggs = totals.eggs || 0;
-    const milk = totals.milk || 0;
-
-    const rows = weeklyPerUser.all({ since_ts });
-
-    // get guild for nicknames if possible
-    let guild = null;
-    if (guildIdEnv) {
-      try { guild = client.guilds.cache.get(guildIdEnv) || await client.guilds.fetch(guildIdEnv).catch(() => null); } catch (e) { guild = null; }
-    }
-
-    const userRows = [];
-    for (let i = 0; i < rows.length; i++) {
-      const r = rows[i];
-      const uid = r.discord_id;
-      const display = await getDisplayNameForGuild(uid, guild).catch(() => uid || "Unknown");
-      const eggsCount = r.eggs || 0;
-      const milkCount = r.milk || 0;
-      const herdBought = r.herd_bought || 0;
-      const herdSold = r.herd_sold || 0;
-      const herdBuyCost = r.herd_buy_cost || 0;
-      const herdSellRevenue = r.herd_sell_revenue || 0;
-      const herdNet = herdSellRevenue - herdBuyCost;
-      const totalItems = eggsCount + milkCount;
-      userRows.push({ discord_id: uid, display, eggs: eggsCount, milk: milkCount, totalItems, herdBought, herdSold, herdBuyCost, herdSellRevenue, herdNet });
-    }
-
-    // compute overall herd net
-    const overallHerdBuyCost = db.prepare(`SELECT COALESCE(SUM(value),0) AS v FROM gathers WHERE ts >= @since_ts AND item_type='herd_buy'`).get({ since_ts }).v || 0;
-    const overallHerdSellRevenue = db.prepare(`SELECT COALESCE(SUM(value),0) AS v FROM gathers WHERE ts >= @since_ts AND item_type='herd_sell'`).get({ since_ts }).v || 0;
-    const overallHerdNet = overallHerdSellRevenue - overallHerdBuyCost;
-    const overallItems = (eggs || 0) + (milk || 0);
-    const overallRevenue = (overallItems * PRICE_PER_ITEM) + overallHerdNet;
-
-    const embeds = [];
-    embeds.push({
-      title: "Weekly Summary — last 7 days",
-      description: `🥚 Eggs: **${eggs}**  |  🥛 Milk: **${milk}**  |  Total Items: **${overallItems}**`,
-      color: 0x2ecc71,
-      fields: [
-        { name: "Items Revenue", value: `$${(overallItems * PRICE_PER_ITEM).toFixed(2)}`, inline: true },
-        { name: "Herd Net", value: `$${overallHerdNet.toFixed(2)}`, inline: true },
-        { name: "Total Revenue", value: `$${overallRevenue.toFixed(2)}`, inline: false }
-      ],
-      timestamp: new Date().toISOString()
-    });
+    if (name === "set_report_schedule") {
+      const weekday = interaction.options.getInteger("weekday");
+      const hour = interaction.options.getInteger("hour");
+      const minute = interaction.options.getInteger("minute");
+      if (weekday === null || hour === null || minute === null) { await interaction.reply({ content: "Invalid args.", ephemeral: true }); return; }
+      ensureGuildConfig.run({ guild_id: guildId, configured_by: interaction.user.id, created_at: Date.now() });
+      ensureDefaultSchedule(guildId);
+      const cron = `${minute} ${hour} * * ${weekday}`;
+      if (weekday > 6 || !parseCron(cron)) { await interaction.reply({ content: "Invalid args: weekday 0-6, hour 0-23, minute 0-59.", ephemeral: true }); return; }
+      upsertSchedule.run({ guild_id: guildId, name: "weekly", cron, job: "weekly_report", created_by: interaction.user.id, created_at: Date.now() });
+      markScheduleChanged(getScheduleByName.get({ guild_id: guildId, name: "weekly" }).id);
+      auditCommand(interaction, { cron });
+      await interaction.reply({ content: `✅ Weekly report schedule set to \`${cron}\` (${guildTimezone(guildId)}). Use /schedule for other times and jobs.`, ephemeral: true });
+      return;
+    }
 
-    for (let j = 0; j < userRows.length; j++) {
-      const ur = userRows[j];
-      const personItemsRevenue = ur.totalItems * PRICE_PER_ITEM;
-      const personTotalRevenue = personItemsRevenue + (ur.herdNet || 0);
-      embeds.push({
-        title: `${j + 1}. ${ur.display}`,
-        description: `Items collected: **${ur.totalItems}**`,
-        color: 0x3498db,
-        fields: [
-          { name: "Eggs", value: String(ur.eggs || 0), inline: true },
-          { name: "Milk", value: String(ur.milk || 0), inline: true },
-          { name: "Items Rev", value: `$${personItemsRevenue.toFixed(2)}`, inline: true },
-          { name: "Herd Bought", value: String(ur.herdBought || 0), inline: true },
-          { name: "Herd Sold", value: String(ur.herdSold || 0), inline: true },
-          { name: "Herd Net", value: `$${(ur.herdNet || 0).toFixed(2)}`, inline: false },
-          { name: "Total Revenue", value: `$${personTotalRevenue.toFixed(2)}`, inline: false }
-        ],
-        footer: { text: "Ranch report • last 7 days" },
-        timestamp: new Date().toISOString()
-      });
+    if (name === "get_report_schedule" || (name === "schedule" && interaction.options.getSubcommand() === "list")) {
+      const tz = guildTimezone(guildId);
+      const rows = listSchedules.all({ guild_id: guildId });
+      await interaction.reply({ content: rows.length ? `**Schedules** (${tz})\n${rows.map(s => formatSchedule(s, tz)).join("\n")}` : "No schedules. An admin can add one with /schedule add.", ephemeral: true });
+      return;
     }
 
-    if (reportWebhookUrl) {
-      for (let i = 0; i < embeds.length; i += 10) {
-        const batch = embeds.slice(i, i + 10);
-        await fetch(reportWebhookUrl, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ username: "Ranch Report", embeds: batch })
-        }).catch(e => console.error("Webhook post error:", e));
-        await new Promise(r => setTimeout(r, 200));
-      }
-    } else {
-      const subs = listSubscribers.all();
-      if (!subs || subs.length === 0) {
-        console.log("weekly report: no subscribers to DM and no REPORT_WEBHOOK_URL set. Skipping reset.");
-        return;
-      }
-      let dmText = `Weekly Ranch Totals (last 7 days)\nEggs: ${eggs}\nMilk: ${milk}\nTotal items: ${overallItems}\nItems Revenue: $${(overallItems*PRICE_PER_ITEM).toFixed(2)}\nHerd Net: $${overallHerdNet.toFixed(2)}\nTotal Revenue: $${overallRevenue.toFixed(2)}\n\nPer-person:\n`;
-      if (userRows.length === 0) dmText += "_No collectors found in the last 7 days._\n";
-      else {
-        for (let i = 0; i < userRows.length; i++) {
-          const ur = userRows[i];
-          const personItemsRevenue = ur.totalItems * PRICE_PER_ITEM;
-          const personTotalRevenue = personItemsRevenue + (ur.herdNet || 0);
-          dmText += `${i+1}. ${ur.display} — Eggs:${ur.eggs} Milk:${ur.milk} ItemsRev:$${personItemsRevenue.toFixed(2)} HerdBought:${ur.herdBought} HerdSold:${ur.herdSold} HerdNet:$${(ur.herdNet||0).toFixed(2)} Total:$${personTotalRevenue.toFixed(2)}\n`;
-        }
+    if (name === "schedule") {
+      const sub = interaction.options.getSubcommand();
+      const sname = (interaction.options.getString("name") || "").trim();
+
+      if (sub === "add") {
+        const expr = interaction.options.getString("cron").trim();
+        const job = interaction.options.getString("job");
+        if (!sname) { await interaction.reply({ content: "Give the schedule a name.", ephemeral: true }); return; }
+        if (!parseCron(expr)) { await interaction.reply({ content: `"${expr}" is not a valid cron expression, or names a day that never comes (like Feb 31). Use "minute hour day month weekday", e.g. \`0 9 * * 1\` for Mondays 09:00 or \`0 21 * * *\` for every day at 21:00.`, ephemeral: true }); return; }
+        if (!scheduleJobs.has(job)) { await interaction.reply({ content: `Unknown job "${job}". Jobs: ${[...scheduleJobs.keys()].join(", ")}.`, ephemeral: true }); return; }
+        ensureGuildConfig.run({ guild_id: guildId, configured_by: interaction.user.id, created_at: Date.now() });
+        ensureDefaultSchedule(guildId);
+        upsertSchedule.run({ guild_id: guildId, name: sname, cron: expr, job, created_by: interaction.user.id, created_at: Date.now() });
+        const row = getScheduleByName.get({ guild_id: guildId, name: sname });
+        markScheduleChanged(row.id);
+        auditCommand(interaction, { schedule: row.id });
+        await interaction.reply({ content: `✅ ${formatSchedule(row, guildTimezone(guildId))}`, ephemeral: true });
+        return;
       }
-      for (const s of subs) {
-        try {
-          const u = await client.users.fetch(s.discord_id);
-          if (u) await u.send(dmText).catch(e => console.error("DM failed:", e));
-        } catch (e) { console.error("Failed to DM subscriber", s.discord_id, e); }
+
+      if (sub === "remove") {
+        const row = getScheduleByName.get({ guild_id: guildId, name: sname });
+        if (!row) { await interaction.reply({ content: `No schedule named "${sname}". See /schedule list.`, ephemeral: true }); return; }
+        deleteSchedule.run({ guild_id: guildId, id: row.id });
+        recordDestructiveOp(guildId, "schedule_remove", { summary: `Removed schedule ${row.name} (${row.cron} → ${row.job})`, payload: { schedule: row }, performed_by: interaction.user.id });
+        auditCommand(interaction, { schedule: row.id });
+        await interaction.reply({ content: `✅ Removed schedule **${row.name}**.`, ephemeral: true });
+        return;
       }
+      return;
     }
 
-    // delete last 7 days entries
-    const info = deleteSince.run({ since_ts, ranch_id: null });
-    console.log("Weekly reset: deleted", info.changes || 0, "rows.");
-  } catch (err) {
-    console.error("Error running weekly report & reset:", err);
-  }
-}
+    if (name === "report") {
+      const sub = interaction.options.getSubcommand();
 
-// ----------------- Scheduler -----------------
-const lastReportDateKey = "last_report_date";
-function getLastReportDate() {
-  const r = getMeta.get({ key: lastReportDateKey });
-  return r && r.value ? r.value : null;
-}
-function setLastReportDate(val) {
-  setMeta.run({ key: lastReportDateKey, value: val });
-}
-function startScheduler() {
-  console.log("Report schedule:", getScheduleMeta());
-  setInterval(async () => {
-    try {
-      const nowParts = getTorontoDateParts();
-      const scheduleNow = getScheduleMeta();
-      if (isReportTime(nowParts, Number(scheduleNow.weekday), Number(scheduleNow.hour), Number(scheduleNow.minute))) {
-        const dateStr = `${nowParts.year}-${String(nowParts.month).padStart(2,"0")}-${String(nowParts.day).padStart(2,"0")}`;
-        const last = getLastReportDate();
-        if (last === dateStr) return;
-        console.log("Triggering weekly report for", dateStr);
-        await performWeeklyReportAndReset();
-        setLastReportDate(dateStr);
+      if (sub === "preview") {
+        await interaction.deferReply({ ephemeral: true });
+        const { embeds } = await buildCurrentReport(guildId, interaction.guild);
+        await sendEmbedsInBatches(interaction, embeds, { ephemeral: true });
+        await interaction.followUp({ content: "Preview only — nothing was posted and no data changed.", ephemeral: true });
+        return;
       }
-    } catch (e) {
-      console.error("Scheduler error:", e);
+
+      if (sub === "send") {
+        await interaction.deferReply({ ephemeral: true });
+        const res = await performReport(guildId);
+        auditCommand(interaction, res);
+        if (res.error) { await interaction.editReply("Building the report failed; see the bot logs."); return; }
+        if (res.sent + res.failed === 0) { await interaction.editReply("Nowhere to send the report: add one with /report_destination add, or have someone /subscribe_reports."); return; }
+        await interaction.editReply(`✅ Report sent to ${res.sent} destination(s)${res.failed ? `, failed for ${res.failed} (see /report_destination list)` : ""}. Current totals are unchanged.`);
+        return;
+      }
+      return;
     }
-  }, 60 * 1000);
-}
 
-// ----------------- Backfill helper (manual use) -----------------
-async function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+    if (name === "report_destination") {
+      const sub = interaction.options.getSubcommand();
+      ensureGuildConfig.run({ guild_id: guildId, configured_by: interaction.user.id, created_at: Date.now() });
+      ensureDefaultDestinations(guildId);
 
-/**
- * backfillHistory({ sinceTs, maxMessages })
- * - sinceTs: ms timestamp. If provided, stops at older messages.
- * - maxMessages: safety cap.
- */
-async function backfillHistory({ sinceTs = null, maxMessages = 200000 } = {}) {
-  try {
-    const channel = await client.channels.fetch(listenChannelId).catch(e => { console.error("Failed to fetch channel", e); return null; });
-    if (!channel || !channel.fetch) { console.error("Channel not fetchable"); return; }
+      if (sub === "list") {
+        const rows = listReportDestinations.all({ guild_id: guildId });
+        const lines = rows.map(d => {
+          const last = lastReportDelivery.get({ destination_id: d.id });
+          const status = !last ? "never used" : last.ok
+            ? `last delivered <t:${Math.floor(last.ts / 1000)}:R>`
+            : `⚠️ last attempt failed <t:${Math.floor(last.ts / 1000)}:R>${last.http_status ? ` (HTTP ${last.http_status})` : ""}: ${last.error}`;
+          const subs = d.kind === "dm" ? countSubscribers.get({ guild_id: guildId }) : null;
+          return `**#${d.id}** ${formatDestination(d)}${subs ? ` (${subs.total} subscribers${subs.paused ? `, ${subs.paused} paused` : ""})` : ""} — ${status}`;
+        });
+        await interaction.reply({ content: rows.length ? `**Report destinations**\n${lines.join("\n")}` : "No report destinations; reports are not sent anywhere. Add one with /report_destination add.", ephemeral: true });
+        return;
+      }
 
-    const resume = getMeta.get({ key: "history_last_fetched_id" });
-    let beforeId = resume && resume.value ? resume.value : null;
-    let inserted = 0;
-    const BATCH = 100;
-
-    while (inserted < maxMessages) {
-      const opts = { limit: BATCH };
-      if (beforeId) opts.before = beforeId;
-
-      let batch;
-      try { batch = await channel.messages.fetch(opts); } catch (e) { console.error("fetch error, sleeping 5s", e); await sleep(5000); continue; }
-      if (!batch || batch.size === 0) break;
-
-      const msgs = Array.from(batch.values()).reverse();
-      for (const m of msgs) {
-        if (sinceTs && m.createdTimestamp < sinceTs) { console.log("Reached sinceTs, stopping"); inserted = maxMessages; break; }
-        let text = m.content || "";
-        if ((!text || text.trim() === "") && m.embeds && m.embeds.length > 0) {
-          const e = m.embeds[0];
-          const fields = (e.fields || []).map(f => `${f.name} ${f.value}`).join(" ");
-          text = [e.title || "", e.description || "", fields].join(" ").trim();
-        }
-        if (!text) continue;
-        const parsed = parseGather(text);
-        if (!parsed) continue;
-        if (!parsed.discord_id) continue;
-
-        try {
-          insertGather.run({
-            ts: m.createdTimestamp,
-            channel_id: m.channelId,
-            message_id: m.id,
-            discord_id: parsed.discord_id,
-            ranch_id: parsed.ranch_id,
-            item_type: parsed.item_type,
-            amount: parsed.amount,
-            value: parsed.value || 0,
-            subtype: parsed.subtype || null
-          });
-          inserted++;
-          if (inserted % 50 === 0) console.log("backfill: inserted", inserted);
-        } catch (e) {
-          if (String(e).includes("UNIQUE constraint failed")) {
-            // already logged
-          } else console.error("DB insert error during backfill:", e);
+      if (sub === "add") {
+        const kind = interaction.options.getString("kind");
+        let target = "";
+        if (kind === "channel") {
+          const ch = interaction.options.getChannel("channel");
+          if (!ch) { await interaction.reply({ content: "Pick the channel to post reports in.", ephemeral: true }); return; }
+          target = ch.id;
+        } else if (kind === "webhook") {
+          target = (interaction.options.getString("url") || "").trim();
+          if (!WEBHOOK_URL_RE.test(target)) { await interaction.reply({ content: "That does not look like a Discord webhook URL.", ephemeral: true }); return; }
         }
+        const info = addReportDestination.run({ guild_id: guildId, kind, target, added_by: interaction.user.id, created_at: Date.now() });
+        const d = findReportDestination.get({ guild_id: guildId, kind, target });
+        auditCommand(interaction, { destination: d.id, added: info.changes });
+        await interaction.reply({ content: info.changes ? `✅ Reports will also go to ${formatDestination(d)} (#${d.id}).` : `${formatDestination(d)} is already destination #${d.id}.`, ephemeral: true });
+        return;
       }
 
-      const oldest = batch.last();
-      if (oldest && oldest.id) {
-        beforeId = oldest.id;
-        setMeta.run({ key: "history_last_fetched_id", value: beforeId });
-      } else break;
+      if (sub === "remove") {
+        const d = getReportDestination.get({ guild_id: guildId, id: interaction.options.getInteger("id") });
+        if (!d) { await interaction.reply({ content: "No such destination. See /report_destination list.", ephemeral: true }); return; }
+        deleteReportDestination.run({ guild_id: guildId, id: d.id });
+        recordDestructiveOp(guildId, "report_destination_remove", { summary: `Removed report destination #${d.id} (${d.kind})`, payload: { destination: d }, performed_by: interaction.user.id });
+        auditCommand(interaction, { destination: d.id });
+        await interaction.reply({ content: `✅ Reports no longer go to ${formatDestination(d)}.`, ephemeral: true });
+        return;
+      }
+      return;
+    }
 
-      if (batch.size < BATCH) break;
-      await sleep(500);
+    if (name === "run_weekly_report_now") {
+      await interaction.reply({
+        content: `Post the weekly report now and close ${openPeriodLabel(guildId)} into a past period? (undo the reset with /undo)`,
+        components: [confirmRow("run_weekly_report_now", "Run report & reset")],
+        ephemeral: true
+      });
+      return;
     }
 
-    console.log("Backfill complete. inserted approx:", inserted);
-  } catch (e) {
-    console.error("backfillHistory fatal:", e);
-  }
-}
+    if (name === "herd") {
+      const sub = interaction.options.getSubcommand();
+      const ranch = resolveRanchOption(guildId, interaction.options.getString("ranch"));
+      if (ranch.error) { await interaction.reply({ content: ranch.error, ephemeral: true }); return; }
+      const animal = (interaction.options.getString("animal") || "").trim().toLowerCase() || null;
+      const ledger = buildHerdLedger(guildId, { ranch_id: ranch.ranch_id, subtype: animal });
+      const scope = `${animal ? ` of ${animal}` : ""}${ranch.ranch_id !== null ? ` on ${ranchLabel(guildId, ranch.ranch_id)}` : ""}`;
+      if (ledger.length === 0) { await interaction.reply({ content: `No herd buys or sales${scope} logged yet.`, ephemeral: true }); return; }
 
-// ----------------- Interaction handlers (slash commands) -----------------
-client.on("interactionCreate", async (interaction) => {
-  let isChatInput = false;
-  try { isChatInput = typeof interaction.isChatInputCommand === "function" ? interaction.isChatInputCommand() : !!interaction.commandName; } catch(e) { isChatInput = !!interaction.commandName; }
-  if (!isChatInput) return;
+      if (sub === "ledger") {
+        await sendEmbedsInBatches(interaction, buildHerdLedgerEmbeds(guildId, ledger));
+        return;
+      }
 
-  try {
-    const name = interaction.commandName;
+      if (sub === "sales") {
+        const limit = Math.max(1, Math.min(25, interaction.options.getInteger("limit") || 10));
+        const sales = ledger
+          .flatMap(l => l.sales.map(s => ({ ...s, animal: l.animal })))
+          .sort((a, b) => b.ts - a.ts || b.id - a.id)
+          .slice(0, limit);
+        if (sales.length === 0) { await interaction.reply({ content: `No herd sales${scope} logged yet.`, ephemeral: true }); return; }
+        const lines = sales.map(s => formatHerdSale(s.animal, s));
+        await interaction.reply({ content: `**Herd sales${scope}** (newest first; cost is the average cost of the animals held at the time)\n${lines.join("\n")}`.slice(0, 2000), allowedMentions: { parse: [] } });
+        return;
+      }
+      return;
+    }
 
-    if (name === "totals") {
-      const since = interaction.options.getString("since");
-      const sinceTs = parseSinceToTs(since);
-      const totals = sumTotals.get({ ranch_id: null, since_ts: sinceTs });
-      await interaction.reply(`**Totals**\n🥚 Eggs: **${totals.eggs}**\n🥛 Milk: **${totals.milk}**`);
+    if (name === "history") {
+      const limit = Math.max(1, Math.min(25, interaction.options.getInteger("limit") || 10));
+      const rows = listPeriods.all({ guild_id: guildId, limit }).map(loadPeriod);
+      if (rows.length === 0) { await interaction.reply({ content: "No closed periods yet. A period closes at each weekly reset.", ephemeral: true }); return; }
+      const lines = rows.map(p => {
+        const by = p.closed_by === "schedule" ? "weekly reset" : `reset by <@${p.closed_by}>`;
+        return `**${periodLabel(guildId, p)}** — Items: ${p.snapshot.overall.totalItems} · Total: $${p.snapshot.overall.totalRevenue.toFixed(2)} · Collectors: ${p.snapshot.users.length} (${by})`;
+      });
+      await interaction.reply({ content: `**Past periods** (newest first — /period show <number> for the full report)\n${lines.join("\n")}`.slice(0, 2000), ephemeral: true });
       return;
     }
 
-    if (name === "leaderboard") {
-      const since = interaction.options.getString("since");
-      const limit = Math.max(1, Math.min(200, interaction.options.getInteger("limit") || 50));
-      const sinceTs = parseSinceToTs(since);
-      const rows = topUsers.all({ ranch_id: null, since_ts: sinceTs, limit });
+    if (name === "period") {
+      const sub = interaction.options.getSubcommand();
 
-      if (!rows || rows.length === 0) { await interaction.reply("No data yet."); return; }
+      if (sub === "show") {
+        const number = interaction.options.getInteger("number");
+        await interaction.deferReply({ ephemeral: true });
+        const p = loadPeriod(getPeriodByNumber.get({ guild_id: guildId, number }));
+        if (!p) { await interaction.editReply(`No period #${number}. See /history.`); return; }
+        const { embeds } = await buildReport(guildId, p.snapshot, interaction.guild, periodLabel(guildId, p));
+        await sendEmbedsInBatches(interaction, embeds, { ephemeral: true });
+        return;
+      }
+      return;
+    }
 
-      const embeds = [];
-      for (let i = 0; i < rows.length; i++) {
-        const r = rows[i];
-        const uid = r.discord_id;
-        const display = await getDisplayNameForGuild(uid, interaction.guild).catch(() => uid || "Unknown");
-        const eggsCount = Number(r.eggs || 0);
-        const milkCount = Number(r.milk || 0);
-        const herdBought = Number(r.herd_bought || 0);
-        const herdSold = Number(r.herd_sold || 0);
-        const herdBuyCost = Number(r.herd_buy_cost || 0);
-        const herdSellRevenue = Number(r.herd_sell_revenue || 0);
-        const herdNet = herdSellRevenue - herdBuyCost;
-        const itemsTotal = eggsCount + milkCount;
-        const itemsRevenue = itemsTotal * PRICE_PER_ITEM;
-        const totalRevenue = itemsRevenue + herdNet;
-
-        embeds.push({
-          title: `${i+1}. ${display}`,
-          description: `Collected Items: **${itemsTotal}**`,
-          color: 0xe67e22,
-          fields: [
-            { name: "Eggs", value: String(eggsCount), inline: true },
-            { name: "Milk", value: String(milkCount), inline: true },
-            { name: "Items Rev", value: `$${itemsRevenue.toFixed(2)}`, inline: true },
-            { name: "Herd Bought", value: String(herdBought), inline: true },
-            { name: "Herd Sold", value: String(herdSold), inline: true },
-            { name: "Herd Net", value: `$${herdNet.toFixed(2)}`, inline: false },
-            { name: "Total Revenue", value: `$${totalRevenue.toFixed(2)}`, inline: false }
-          ],
-          footer: { text: `Leaderboard — ${since || "all-time"}` },
-          timestamp: new Date().toISOString()
+    if (name === "parse_failures") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "list") {
+        const limit = Math.max(1, Math.min(25, interaction.options.getInteger("limit") || 10));
+        const rows = listParseFailures.all({ guild_id: guildId, limit });
+        const pending = countPendingParseFailures.get({ guild_id: guildId }).cnt || 0;
+        if (rows.length === 0) { await interaction.reply({ content: "✅ No unparsed messages waiting for review.", ephemeral: true }); return; }
+        const lines = rows.map(r => `**#${r.id}** <t:${Math.floor(r.ts / 1000)}:f>${r.reason === "no_mention" ? ` · no member for ${r.actor ? `**${r.actor}**` : "an event"}` : ""} — \`${r.text.replace(/`/g, "'").slice(0, 150)}\``);
+        await interaction.reply({ content: `**Unparsed messages** (${rows.length} of ${pending} pending)\n${lines.join("\n")}`.slice(0, 2000), ephemeral: true });
+        return;
+      }
+
+      if (sub === "show") {
+        const row = getParseFailure.get({ guild_id: guildId, id: interaction.options.getInteger("id") });
+        if (!row) { await interaction.reply({ content: "No such entry.", ephemeral: true }); return; }
+        const link = `https://discord.com/channels/${guildId}/${row.channel_id}/${row.message_id}`;
+        const body = row.text.replace(/`/g, "'").slice(0, 1800);
+        await interaction.reply({ content: `**#${row.id}** (${row.status}) <t:${Math.floor(row.ts / 1000)}:f>\n${link}\n\`\`\`\n${body}\n\`\`\``, ephemeral: true });
+        return;
+      }
+
+      if (sub === "reprocess") {
+        const r = reprocessParseFailures({ guildId, id: interaction.options.getInteger("id") });
+        auditCommand(interaction, r);
+        await interaction.reply({ content: `🔁 Re-processed ${r.checked}: inserted ${r.inserted}, held as likely duplicates ${r.flagged}, still unparsed ${r.stillFailing}, parsed but no mention or linked character ${r.noMention}.`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "dismiss") {
+        const id = interaction.options.getInteger("id");
+        const info = setParseFailureStatus.run({ guild_id: guildId, id, status: "dismissed", resolved_at: Date.now() });
+        if (info.changes) recordDestructiveOp(guildId, "parse_failure_dismiss", { summary: `Dismissed unparsed message #${id}`, payload: { id }, performed_by: interaction.user.id });
+        auditCommand(interaction, { rows: info.changes });
+        await interaction.reply({ content: info.changes ? `✅ Dismissed #${id}.` : "No such entry.", ephemeral: true });
+        return;
+      }
+
+      if (sub === "rules") {
+        const lines = verifyParseRules().map(v => {
+          const rule = parseRules.find(r => r.name === v.rule);
+          const status = v.failed.length === 0 ? `✅ ${v.total}/${v.total} fixtures` : `❌ ${v.total - v.failed.length}/${v.total} fixtures`;
+          const description = rule ? rule.description || "no description" : "whole messages: embed blocks, batched lines";
+          return `**${v.rule}** — ${description} (${status})`;
         });
+        await interaction.reply({ content: `**Parser rules** (tried in this order)\n${lines.join("\n")}`.slice(0, 2000), ephemeral: true });
+        return;
       }
+      return;
+    }
 
-      await interaction.deferReply({ ephemeral: true });
-      await sendEmbedsInBatches(interaction, embeds);
-      await interaction.followUp({ content: `Posted ${embeds.length} embeds (per-person).`, ephemeral: true });
+    if (name === "duplicates") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "list") {
+        const limit = Math.max(1, Math.min(25, interaction.options.getInteger("limit") || 10));
+        const rows = listPendingDuplicates.all({ guild_id: guildId, limit });
+        const pending = countPendingDuplicates.get({ guild_id: guildId }).cnt || 0;
+        if (rows.length === 0) { await interaction.reply({ content: "✅ No flagged duplicates waiting for review.", ephemeral: true }); return; }
+        const lines = rows.map(d => formatDuplicate(guildId, d));
+        await interaction.reply({ content: `**Flagged duplicates** (${rows.length} of ${pending} pending — /duplicates keep or dismiss)\n${lines.join("\n")}`.slice(0, 2000), ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      if (sub === "keep") {
+        const id = interaction.options.getInteger("id");
+        const d = getDuplicateGather.get({ guild_id: guildId, id });
+        if (!d || d.status !== "pending") { await interaction.reply({ content: `No pending duplicate #${id}. See /duplicates list.`, ephemeral: true }); return; }
+        const after = db.transaction(() => {
+          resolveDuplicateGather.run({ guild_id: guildId, id, status: "kept", resolved_by: interaction.user.id, resolved_at: Date.now(), from_status: "pending" });
+          const { guild_id, ts, channel_id, message_id, event_key, discord_id, ranch_id, item_type, amount, value, subtype, fingerprint } = d;
+          const fields = { guild_id, ts, channel_id, message_id, event_key, discord_id, ranch_id, item_type, amount, value, subtype, fingerprint };
+          const gatherId = Number(insertGather.run(fields).lastInsertRowid);
+          fileInClosedPeriod(guildId, gatherId, fields);
+          const row = getGather.get({ guild_id: guildId, id: gatherId });
+          recordGatherChange(guildId, "add", { after: row, reason: `kept flagged duplicate #${id}`, performed_by: interaction.user.id });
+          return row;
+        })();
+        auditCommand(interaction, { gather: after.id });
+        await interaction.reply({ content: `✅ Counted it after all: ${formatGatherRow(guildId, after)}`, ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      if (sub === "dismiss") {
+        const id = interaction.options.getInteger("id");
+        const info = resolveDuplicateGather.run({ guild_id: guildId, id, status: "dismissed", resolved_by: interaction.user.id, resolved_at: Date.now(), from_status: "pending" });
+        if (info.changes) recordDestructiveOp(guildId, "duplicate_dismiss", { summary: `Dismissed flagged duplicate #${id}`, payload: { id }, performed_by: interaction.user.id });
+        auditCommand(interaction, { rows: info.changes });
+        await interaction.reply({ content: info.changes ? `✅ Dismissed #${id}; it stays out of the totals.` : `No pending duplicate #${id}.`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "rules") {
+        const rules = listDedupeRules.all({ guild_id: guildId });
+        const def = rules.find(r => r.item_type === "*");
+        const lines = [`Default: ${formatWindow(def ? def.window_ms : DUPLICATE_WINDOW_MS)}`, ...rules.filter(r => r.item_type !== "*").map(r => `${itemLabel(guildId, r.item_type)}: ${formatWindow(r.window_ms)}`)];
+        await interaction.reply({ content: `**Dedupe windows** (identical content without a webhook event id inside the window is flagged)\n${lines.join("\n")}`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "rule") {
+        const typeInput = (interaction.options.getString("type") || "").trim().toLowerCase();
+        const itemType = typeInput === "default" ? "*" : resolveItemType(guildId, typeInput);
+        if (!itemType) { await interaction.reply({ content: `Unknown type "${typeInput}". Use default, an item key from /items list, herd_buy or herd_sell.`, ephemeral: true }); return; }
+        const seconds = interaction.options.getInteger("window_seconds");
+        if (seconds === null || seconds < 0) { await interaction.reply({ content: "window_seconds must be 0 or more (0 = only match webhook event ids).", ephemeral: true }); return; }
+        setDedupeRule.run({ guild_id: guildId, item_type: itemType, window_ms: seconds * 1000, set_by: interaction.user.id, set_at: Date.now() });
+        auditCommand(interaction);
+        await interaction.reply({ content: `✅ Dedupe window for ${itemType === "*" ? "the default" : itemLabel(guildId, itemType)}: ${formatWindow(seconds * 1000)}.`, ephemeral: true });
+        return;
+      }
       return;
     }
 
-    if (name === "weekly_totals") {
-      const since_ts = sevenDaysAgoTs();
-      const rows = weeklyPerUser.all({ since_ts });
-      if (!rows || rows.length === 0) { await interaction.reply("No data in the last 7 days."); return; }
+    if (name === "items") {
+      const sub = interaction.options.getSubcommand();
+      const catalogue = itemCatalogue(guildId).items;
 
-      const overallTotals = sumTotalsSince.get({ since_ts, ranch_id: null, discord_id: null });
-      const overallEggs = overallTotals.eggs || 0;
-      const overallMilk = overallTotals.milk || 0;
-      const overallItems = overallEggs + overallMilk;
-      const overallHerdBuyCost = db.prepare(`SELECT COALESCE(SUM(value),0) AS v FROM gathers WHERE ts >= @since_ts AND item_type='herd_buy'`).get({ since_ts }).v || 0;
-      const overallHerdSellRevenue = db.prepare(`SELECT COALESCE(SUM(value),0) AS v FROM gathers WHERE ts >= @since_ts AND item_type='herd_sell'`).get({ since_ts }).v || 0;
-      const overallHerdNet = overallHerdSellRevenue - overallHerdBuyCost;
-      const overallRevenue = (overallItems * PRICE_PER_ITEM) + overallHerdNet;
-
-      const embeds = [];
-      embeds.push({
-        title: `Weekly Summary — last 7 days`,
-        description: `🥚 Eggs: **${overallEggs}**  |  🥛 Milk: **${overallMilk}**  |  Total Items: **${overallItems}**`,
-        color: 0x2ecc71,
-        fields: [
-          { name: "Items Revenue", value: `$${(overallItems * PRICE_PER_ITEM).toFixed(2)}`, inline: true },
-          { name: "Herd Net", value: `$${overallHerdNet.toFixed(2)}`, inline: true },
-          { name: "Total Revenue", value: `$${overallRevenue.toFixed(2)}`, inline: false }
-        ],
-        timestamp: new Date().toISOString()
-      });
+      if (sub === "list") {
+        const now = Date.now();
+        const lines = catalogue.map(it => `${it.active ? "" : "~~"}${itemLabel(guildId, it.key)} (\`${it.key}\`) — $${priceAt(guildId, "item", it.key, now).toFixed(2)} each — matches: ${it.aliases || it.key}${it.active ? "" : "~~ (retired)"}`);
+        await interaction.reply({ content: `**Item catalogue**\n${lines.join("\n") || "_empty_"}`.slice(0, 2000), ephemeral: true });
+        return;
+      }
 
-      for (let i = 0; i < rows.length; i++) {
-        const r = rows[i];
-        const uid = r.discord_id;
-        const display = await getDisplayNameForGuild(uid, interaction.guild).catch(() => uid || "Unknown");
-        const eggsCount = r.eggs || 0;
-        const milkCount = r.milk || 0;
-        const herdBought = r.herd_bought || 0;
-        const herdSold = r.herd_sold || 0;
-        const herdBuyCost = r.herd_buy_cost || 0;
-        const herdSellRevenue = r.herd_sell_revenue || 0;
-        const herdNet = herdSellRevenue - herdBuyCost;
-        const itemsTotal = eggsCount + milkCount;
-        const itemsRevenue = itemsTotal * PRICE_PER_ITEM;
-        const totalRevenue = itemsRevenue + herdNet;
-
-        embeds.push({
-          title: `${i+1}. ${display}`,
-          description: `Total collected: **${itemsTotal}**`,
-          color: 0x1abc9c,
-          fields: [
-            { name: "Eggs", value: String(eggsCount), inline: true },
-            { name: "Milk", value: String(milkCount), inline: true },
-            { name: "Items Rev", value: `$${itemsRevenue.toFixed(2)}`, inline: true },
-            { name: "Herd Bought", value: String(herdBought), inline: true },
-            { name: "Herd Sold", value: String(herdSold), inline: true },
-            { name: "Herd Net", value: `$${herdNet.toFixed(2)}`, inline: false },
-            { name: "Total Revenue", value: `$${totalRevenue.toFixed(2)}`, inline: false }
-          ],
-          footer: { text: "Weekly totals — last 7 days" },
-          timestamp: new Date().toISOString()
+      const key = (interaction.options.getString("key") || "").trim().toLowerCase();
+
+      if (sub === "add") {
+        if (!/^[a-z][a-z0-9_]{0,31}$/.test(key) || key === "herd_buy" || key === "herd_sell") {
+          await interaction.reply({ content: "Key must be lowercase letters, digits or _ (and not herd_buy/herd_sell).", ephemeral: true });
+          return;
+        }
+        const existing = catalogue.find(it => it.key === key);
+        const price = interaction.options.getNumber("price");
+        if (price !== null && !(price >= 0)) { await interaction.reply({ content: "Price must be 0 or more.", ephemeral: true }); return; }
+        const aliases = (interaction.options.getString("aliases") || (existing ? existing.aliases : key))
+          .split(",").map(w => w.trim().toLowerCase()).filter(Boolean).join(",");
+        upsertItem.run({
+          guild_id: guildId,
+          key,
+          display_name: interaction.options.getString("name") || (existing ? existing.display_name : key.charAt(0).toUpperCase() + key.slice(1)),
+          emoji: interaction.options.getString("emoji") ?? (existing ? existing.emoji : ""),
+          unit_price: price !== null ? price : (existing ? existing.unit_price : 0),
+          aliases,
+          sort_order: existing ? existing.sort_order : catalogue.reduce((m, it) => Math.max(m, it.sort_order), -1) + 1
         });
+        if (price !== null) {
+          const now = Date.now();
+          insertPrice.run({ guild_id: guildId, kind: "item", key, price, effective_ts: now, set_by: interaction.user.id, set_at: now });
+        }
+        reloadItemCatalogue(guildId);
+        auditCommand(interaction, { item: key, created: !existing });
+        await interaction.reply({ content: `✅ ${existing ? "Updated" : "Added"} ${itemLabel(guildId, key)} — matches: ${aliases}.`, ephemeral: true });
+        return;
       }
 
-      await interaction.deferReply({ ephemeral: true });
-      await sendEmbedsInBatches(interaction, embeds);
-      await interaction.followUp({ content: `Posted ${embeds.length - 1} per-person embeds (plus 1 summary).`, ephemeral: true });
+      if (sub === "remove") {
+        const info = setItemActive.run({ guild_id: guildId, key, active: 0 });
+        if (info.changes) recordDestructiveOp(guildId, "item_remove", { summary: `Retired item ${key}`, payload: { key }, performed_by: interaction.user.id });
+        auditCommand(interaction, { rows: info.changes });
+        reloadItemCatalogue(guildId);
+        await interaction.reply({ content: info.changes ? `✅ Retired \`${key}\`. Logged amounts are kept; new logs are no longer matched.` : "No such item.", ephemeral: true });
+        return;
+      }
       return;
     }
 
-    if (name === "reset_week") {
-      const memberPerms = interaction.memberPermissions;
-      const allowed = memberPerms && typeof memberPerms.has === "function" && memberPerms.has(PermissionsBitField.Flags.ManageGuild);
-      if (!allowed) { await interaction.reply({ content: "You need Manage Server permission.", ephemeral: true }); return; }
-      const info = deleteSince.run({ since_ts: sevenDaysAgoTs(), ranch_id: null });
-      await interaction.reply({ content: `✅ Weekly totals reset. Deleted ${info.changes || 0} entries.`, ephemeral: true });
+    if (name === "price") {
+      const sub = interaction.options.getSubcommand();
+      const kind = interaction.options.getString("kind");
+      const key = (interaction.options.getString("key") || "").trim().toLowerCase();
+
+      if (sub === "set") {
+        const price = interaction.options.getNumber("price");
+        if (price === null || !(price >= 0)) { await interaction.reply({ content: "Price must be 0 or more.", ephemeral: true }); return; }
+        if (kind === "item" && !itemCatalogue(guildId).items.some(it => it.key === key)) { await interaction.reply({ content: `Unknown item \`${key}\`. See /items list.`, ephemeral: true }); return; }
+        if (kind === "herd" && !/^[a-z]+$/.test(key)) { await interaction.reply({ content: "Animal must be a single word, e.g. bison.", ephemeral: true }); return; }
+        const effective = interaction.options.getString("effective");
+        const now = Date.now();
+        const effective_ts = effective ? parseDateInput(effective, guildTimezone(guildId)) : now;
+        if (effective_ts === null) { await interaction.reply({ content: `Effective date must look like "2026-10-01" or "2026-10-01 09:00" (${guildTimezone(guildId)}).`, ephemeral: true }); return; }
+        insertPrice.run({ guild_id: guildId, kind, key, price, effective_ts, set_by: interaction.user.id, set_at: now });
+        auditCommand(interaction, { effective_ts });
+        await interaction.reply({ content: `✅ ${formatPriceKey(guildId, kind, key)} = $${price.toFixed(2)} from <t:${Math.floor(effective_ts / 1000)}:f>.`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "list") {
+        const rows = listCurrentPrices.all({ guild_id: guildId, kind: kind || null, now: Date.now() });
+        if (rows.length === 0) { await interaction.reply({ content: "No prices set.", ephemeral: true }); return; }
+        const lines = rows.map(r => `${r.kind === "item" ? "Item" : "Herd"} · ${formatPriceKey(guildId, r.kind, r.key)} — **$${Number(r.price).toFixed(2)}**${r.effective_ts ? ` since <t:${Math.floor(r.effective_ts / 1000)}:d>` : ""}${r.guild_id ? "" : " (default)"}`);
+        await interaction.reply({ content: `**Current prices**\n${lines.join("\n")}`.slice(0, 2000), ephemeral: true });
+        return;
+      }
+
+      if (sub === "history") {
+        const rows = listPriceHistory.all({ guild_id: guildId, kind, key });
+        if (rows.length === 0) { await interaction.reply({ content: `No prices recorded for ${formatPriceKey(guildId, kind, key)}.`, ephemeral: true }); return; }
+        const now = Date.now();
+        const lines = rows.map(r => {
+          const from = r.effective_ts ? `<t:${Math.floor(r.effective_ts / 1000)}:f>` : "the start";
+          const by = r.set_by === "seed" ? "initial price" : `set by <@${r.set_by}> <t:${Math.floor(r.set_at / 1000)}:R>`;
+          return `$${Number(r.price).toFixed(2)} from ${from}${r.effective_ts > now ? " (scheduled)" : ""}${r.guild_id ? "" : " (default)"} — ${by}`;
+        });
+        await interaction.reply({ content: `**Price history — ${formatPriceKey(guildId, kind, key)}**\n${lines.join("\n")}`.slice(0, 2000), ephemeral: true });
+        return;
+      }
       return;
     }
 
-    if (name === "subscribe_reports") {
-      addSubscriber.run({ discord_id: interaction.user.id });
-      await interaction.reply({ content: "✅ Subscribed to weekly DM reports.", ephemeral: true });
+    if (name === "ranch") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "list") {
+        const rows = listRanches.all({ guild_id: guildId });
+        const lines = rows.map(r => `**${r.name}** — #${r.ranch_id}`);
+        await interaction.reply({ content: rows.length ? `**Registered ranches**\n${lines.join("\n")}` : "No ranches registered yet. An admin can add one with /ranch register.", ephemeral: true });
+        return;
+      }
+
+      if (sub === "compare") {
+        const range = parseTimeRange(interaction.options.getString("since"), interaction.options.getString("until"), guildTimezone(guildId));
+        if (range.error) { await interaction.reply({ content: range.error, ephemeral: true }); return; }
+        await interaction.reply({ embeds: [buildRanchComparisonEmbed(collectRanchTotals(guildId, range.sinceTs, range.untilTs, openOnly(range.sinceTs, range.untilTs)), `Ranch Comparison — ${range.label}`)] });
+        return;
+      }
+
+      const ranchId = interaction.options.getInteger("id");
+
+      if (sub === "register") {
+        const rname = (interaction.options.getString("name") || "").trim();
+        if (!rname || /^#?\d+$/.test(rname)) { await interaction.reply({ content: "Ranch name must contain at least one letter.", ephemeral: true }); return; }
+        const taken = getRanchByName.get({ guild_id: guildId, name: rname });
+        if (taken && taken.ranch_id !== ranchId) { await interaction.reply({ content: `"${rname}" is already used by ranch #${taken.ranch_id}.`, ephemeral: true }); return; }
+        upsertRanch.run({ guild_id: guildId, ranch_id: ranchId, name: rname, registered_by: interaction.user.id, created_at: Date.now() });
+        auditCommand(interaction);
+        await interaction.reply({ content: `✅ Ranch #${ranchId} is now **${rname}**.`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "remove") {
+        const ranch = getRanch.get({ guild_id: guildId, ranch_id: ranchId });
+        const info = deleteRanch.run({ guild_id: guildId, ranch_id: ranchId });
+        auditCommand(interaction, { rows: info.changes });
+        if (info.changes) recordDestructiveOp(guildId, "ranch_remove", { summary: `Unregistered ranch #${ranchId} (${ranch.name})`, payload: { ranch }, performed_by: interaction.user.id });
+        await interaction.reply({ content: info.changes ? `✅ Unregistered ranch #${ranchId}. Its logged entries are kept.` : "No such ranch.", ephemeral: true });
+        return;
+      }
       return;
     }
 
-    if (name === "unsubscribe_reports") {
-      removeSubscriber.run({ discord_id: interaction.user.id });
-      await interaction.reply({ content: "✅ Unsubscribed from weekly DM reports.", ephemeral: true });
+    if (name === "setup") {
+      const sub = interaction.options.getSubcommand();
+      ensureGuildConfig.run({ guild_id: guildId, configured_by: interaction.user.id, created_at: Date.now() });
+      ensureDefaultSchedule(guildId);
+      ensureDefaultDestinations(guildId);
+
+      if (sub === "show") {
+        const cfg = getGuildConfig.get({ guild_id: guildId });
+        const channels = listListenChannels.all({ guild_id: guildId }).map(c => `<#${c.channel_id}>`);
+        const tz = guildTimezone(guildId);
+        const schedules = listSchedules.all({ guild_id: guildId }).map(s => `• ${formatSchedule(s, tz)}`);
+        const delivery = listReportDestinations.all({ guild_id: guildId }).map(formatDestination).join(", ") || "_nowhere — add a destination with /report_destination add_";
+        await interaction.reply({ content: `**Setup**\nListen channels: ${channels.join(", ") || "_none — add one with /setup listen_add_"}\nReports: ${delivery}\nRollover notices: ${cfg.rollover_channel_id ? `<#${cfg.rollover_channel_id}>` : "off"}\nAudit log channel: ${cfg.audit_channel_id ? `<#${cfg.audit_channel_id}>` : "off"}\nTimezone: ${tz}\nSchedules:\n${schedules.join("\n") || "_none — add one with /schedule add_"}`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "listen_add") {
+        const ch = interaction.options.getChannel("channel");
+        addListenChannel.run({ channel_id: ch.id, guild_id: guildId, added_by: interaction.user.id, created_at: Date.now() });
+        auditCommand(interaction);
+        await interaction.reply({ content: `✅ Now reading gather logs in <#${ch.id}>.`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "listen_remove") {
+        const ch = interaction.options.getChannel("channel");
+        const info = removeListenChannel.run({ guild_id: guildId, channel_id: ch.id });
+        auditCommand(interaction, { rows: info.changes });
+        await interaction.reply({ content: info.changes ? `✅ Stopped reading <#${ch.id}>. Logged entries are kept.` : "That channel is not a listen channel.", ephemeral: true });
+        return;
+      }
+
+      if (sub === "rollover_channel") {
+        const ch = interaction.options.getChannel("channel");
+        setGuildRolloverChannel.run({ guild_id: guildId, rollover_channel_id: ch ? ch.id : null });
+        auditCommand(interaction);
+        await interaction.reply({ content: ch ? `✅ A notice will be posted in <#${ch.id}> whenever a period is closed.` : "✅ Rollover notices turned off.", ephemeral: true });
+        return;
+      }
+
+      if (sub === "audit_channel") {
+        const ch = interaction.options.getChannel("channel");
+        setGuildAuditChannel.run({ guild_id: guildId, audit_channel_id: ch ? ch.id : null });
+        auditCommand(interaction);
+        await interaction.reply({ content: ch ? `✅ Audit log entries will be copied to <#${ch.id}>.` : "✅ Audit log mirroring turned off.", ephemeral: true });
+        return;
+      }
+
+      if (sub === "timezone") {
+        const tz = (interaction.options.getString("name") || "").trim();
+        if (!isValidTimezone(tz)) { await interaction.reply({ content: `Unknown timezone "${tz}". Use an IANA name like America/Toronto or Europe/London.`, ephemeral: true }); return; }
+        setGuildTimezone.run({ guild_id: guildId, timezone: tz });
+        for (const sch of listSchedules.all({ guild_id: guildId })) markScheduleChanged(sch.id);
+        auditCommand(interaction);
+        await interaction.reply({ content: `✅ Timezone set to ${tz}. Schedules, dates and named periods (this_week, ...) now use it.`, ephemeral: true });
+        return;
+      }
       return;
     }
 
-    if (name === "set_report_schedule") {
-      const memberPerms = interaction.memberPermissions;
-      const allowed = memberPerms && typeof memberPerms.has === "function" && memberPerms.has(PermissionsBitField.Flags.ManageGuild);
-      if (!allowed) { await interaction.reply({ content: "You need Manage Server permission.", ephemeral: true }); return; }
-      const weekday = interaction.options.getInteger("weekday");
-      const hour = interaction.options.getInteger("hour");
-      const minute = interaction.options.getInteger("minute");
-      if (weekday === null || hour === null || minute === null) { await interaction.reply({ content: "Invalid args.", ephemeral: true }); return; }
-      setScheduleMeta(weekday, hour, minute);
-      setLastReportDate(null);
-      await interaction.reply({ content: `✅ Report schedule set: weekday=${weekday} hour=${hour} minute=${minute} (America/Toronto).`, ephemeral: true });
+    if (name === "undo") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "list") {
+        const limit = Math.max(1, Math.min(25, interaction.options.getInteger("limit") || 10));
+        const rows = listDestructiveOps.all({ guild_id: guildId, limit });
+        if (rows.length === 0) { await interaction.reply({ content: "No destructive operations recorded.", ephemeral: true }); return; }
+        const lines = rows.map(r => {
+          const by = r.performed_by === "schedule" ? "weekly schedule" : r.performed_by === "discord" ? "a message edit/delete in Discord" : r.performed_by ? `<@${r.performed_by}>` : "unknown";
+          const state = r.restored_at ? ` — ~~restored <t:${Math.floor(r.restored_at / 1000)}:R>~~` : "";
+          return `**#${r.id}** <t:${Math.floor(r.performed_at / 1000)}:f> · ${r.summary} · by ${by}${state}`;
+        });
+        await interaction.reply({ content: `**Recent destructive operations** (restore with /undo restore <id>)\n${lines.join("\n")}`.slice(0, 2000), ephemeral: true });
+        return;
+      }
+
+      if (sub === "restore") {
+        const res = restoreDestructiveOp(guildId, interaction.options.getInteger("id"), interaction.user.id, cap => hasCapability(interaction, cap));
+        auditCommand(interaction, res.error ? { error: res.error } : { restored: true });
+        await interaction.reply({ content: res.error || `✅ ${res.message}`, ephemeral: true });
+        return;
+      }
       return;
     }
 
-    if (name === "get_report_schedule") {
-      const sch = getScheduleMeta();
-      await interaction.reply({ content: `Schedule: weekday=${sch.weekday} hour=${sch.hour} minute=${sch.minute} (America/Toronto).`, ephemeral: true });
+    if (name === "permissions") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "list") {
+        const grants = listRoleCapabilities.all({ guild_id: guildId });
+        const lines = Object.entries(CAPABILITIES).map(([cap, desc]) => {
+          const roles = grants.filter(g => g.capability === cap).map(g => `<@&${g.role_id}>`);
+          return `**${cap}** — ${desc}: ${roles.length ? roles.join(", ") : "_Manage Server only_"}`;
+        });
+        await interaction.reply({ content: `**Permissions**\n${lines.join("\n")}`.slice(0, 2000), ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      const role = interaction.options.getRole("role");
+      const capability = interaction.options.getString("capability");
+      if (!CAPABILITIES[capability]) { await interaction.reply({ content: `Unknown capability. Choose one of: ${Object.keys(CAPABILITIES).join(", ")}.`, ephemeral: true }); return; }
+
+      if (sub === "grant") {
+        const info = grantRoleCapability.run({ guild_id: guildId, role_id: role.id, capability, granted_by: interaction.user.id, granted_at: Date.now() });
+        auditCommand(interaction, { granted: info.changes });
+        await interaction.reply({ content: info.changes ? `✅ <@&${role.id}> can now use **${capability}** commands.` : `<@&${role.id}> already has **${capability}**.`, ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      if (sub === "revoke") {
+        const grant = getRoleCapability.get({ guild_id: guildId, role_id: role.id, capability });
+        if (!grant) { await interaction.reply({ content: `<@&${role.id}> doesn't have **${capability}**.`, ephemeral: true, allowedMentions: { parse: [] } }); return; }
+        revokeRoleCapability.run({ guild_id: guildId, role_id: role.id, capability });
+        recordDestructiveOp(guildId, "permission_revoke", { summary: `Revoked ${capability} from role ${role.name || role.id}`, payload: { grant }, performed_by: interaction.user.id });
+        auditCommand(interaction, { revoked: 1 });
+        await interaction.reply({ content: `✅ Revoked **${capability}** from <@&${role.id}> (undo with /undo).`, ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
       return;
     }
 
-    if (name === "run_weekly_report_now") {
-      const memberPerms = interaction.memberPermissions;
-      const allowed = memberPerms && typeof memberPerms.has === "function" && memberPerms.has(PermissionsBitField.Flags.ManageGuild);
-      if (!allowed) { await interaction.reply({ content: "You need Manage Server permission.", ephemeral: true }); return; }
-      await interaction.reply({ content: "Running weekly report now...", ephemeral: true });
-      await performWeeklyReportAndReset();
-      await interaction.followUp({ content: "Weekly report completed.", ephemeral: true });
+    if (name === "audit") {
+      const user = interaction.options.getUser("user");
+      const action = (interaction.options.getString("action") || "").trim().toLowerCase() || null;
+      const limit = Math.max(1, Math.min(50, interaction.options.getInteger("limit") || 15));
+      const rows = listAuditLog.all({ guild_id: guildId, actor: user ? user.id : null, action, limit });
+      if (rows.length === 0) { await interaction.reply({ content: "No matching audit entries.", ephemeral: true }); return; }
+      let content = "**Audit log** (newest first)";
+      for (const r of rows) {
+        const line = formatAuditEntry(r);
+        if (content.length + line.length + 1 > 2000) break;
+        content += `\n${line}`;
+      }
+      await interaction.reply({ content, ephemeral: true, allowedMentions: { parse: [] } });
       return;
     }
 
     if (name === "backfill") {
-      // optional admin command if added to deploy-commands
-      const memberPerms = interaction.memberPermissions;
-      const allowed = memberPerms && typeof memberPerms.has === "function" && memberPerms.has(PermissionsBitField.Flags.ManageGuild);
-      if (!allowed) { await interaction.reply({ content: "You need Manage Server permission.", ephemeral: true }); return; }
-      const days = interaction.options.getInteger("days") || 365;
-      const sinceTs = Date.now() - (days * 24 * 60 * 60 * 1000);
-      await interaction.reply({ content: `Starting backfill for last ${days} days. Check logs.`, ephemeral: true });
-      backfillHistory({ sinceTs }).then(() => interaction.followUp({ content: "Backfill finished.", ephemeral: true })).catch(err => interaction.followUp({ content: `Backfill error: ${String(err).slice(0,200)}`, ephemeral: true }));
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "status") {
+        const id = interaction.options.getInteger("id");
+        const job = id ? getBackfillJob.get({ id }) : getLatestBackfillJob.get({ guild_id: guildId });
+        if (!job || job.guild_id !== guildId) { await interaction.reply({ content: id ? `No backfill #${id}.` : "No backfill has been run yet.", ephemeral: true }); return; }
+        await interaction.reply({ content: formatBackfillJob(job), ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      if (sub === "cancel") {
+        const job = getRunningBackfillJob.get({ guild_id: guildId });
+        if (!job) { await interaction.reply({ content: "No backfill is running.", ephemeral: true }); return; }
+        finishBackfillJob.run({ id: job.id, status: "cancelled", finished_at: Date.now(), error: null });
+        auditCommand(interaction, { job: job.id });
+        await interaction.reply({ content: `🛑 Cancelled backfill #${job.id}. Rows it already inserted are kept; start a new one to cover the rest.`, ephemeral: true });
+        return;
+      }
+
+      if (sub === "start") {
+        const since = interaction.options.getString("since");
+        const range = parseTimeRange(since || `${BACKFILL_DEFAULT_DAYS}d`, interaction.options.getString("until"), guildTimezone(guildId));
+        if (range.error) { await interaction.reply({ content: range.error, ephemeral: true }); return; }
+        const maxMessages = Math.max(1, interaction.options.getInteger("max_messages") || BACKFILL_DEFAULT_MAX);
+        const job = startBackfillJob(guildId, { sinceTs: range.sinceTs, untilTs: range.untilTs, maxMessages, startedBy: interaction.user.id });
+        if (job.error) { await interaction.reply({ content: job.error, ephemeral: true }); return; }
+        auditCommand(interaction, { job: job.id });
+        await interaction.reply({ content: `Started backfill #${job.id} (${range.label}). Follow it with /backfill status or the progress message below.\nLogs from before a past close are filed under the closed period that covers them (its stored /period show report stays as it was); only newer ones count toward the open period.`, ephemeral: true });
+        // a plain message rather than the reply: interaction replies can only be edited for 15 minutes
+        const progress = interaction.channel && await interaction.channel.send({ content: formatBackfillJob(job), allowedMentions: { parse: [] } }).catch(e => console.error("Backfill progress message failed:", e.message || e));
+        if (progress) setBackfillProgressMessage.run({ id: job.id, channel_id: interaction.channelId, message_id: progress.id });
+        runBackfillJob(job.id).catch(e => console.error("Error running backfill:", e));
+        return;
+      }
       return;
     }
 
   } catch (err) {
     console.error("interaction error:", err);
-    try { if (!interaction.replied) await interaction.reply({ content: "An error occurred.", ephemeral: true }); } catch(e) {}
+    await replyWithError(interaction);
   }
 });
 
-// ----------------- Keep-alive HTTP server (Railway service detection) -----------------
-const PORT = process.env.PORT || 3000;
-http.createServer((req, res) => { res.writeHead(200); res.end("Ranch bot running"); }).listen(PORT, () => {
-  console.log("Health server running on port", PORT);
-});
+// ----------------- Interaction handlers (buttons & menus) -----------------
+// custom ids are "action:arg:arg..."; everything a handler needs is in the id
+client.on("interactionCreate", async (interaction) => {
+  const isButton = typeof interaction.isButton === "function" && interaction.isButton();
+  const isSelect = typeof interaction.isStringSelectMenu === "function" && interaction.isStringSelectMenu();
+  if (!isButton && !isSelect) return;
 
-// ----------------- Last bits: ready/start -----------------
-client.once("ready", async () => {
-  console.log("🤖 Logged in as", client.user.tag);
-  startScheduler();
+  try {
+    const [action, ...args] = interaction.customId.split(":");
+    const [arg] = args;
+    const guildId = interaction.guildId;
+    if (!guildId) return;
 
-  // OPTIONAL: one-time automatic backfill on first deploy — uncomment if you want auto import
-  // const oneYearAgo = Date.now() - (365 * 24 * 60 * 60 * 1000);
-  // console.log("Starting one-time backfill for last 365 days...");
-  // await backfillHistory({ sinceTs: oneYearAgo, maxMessages: 200000 });
-  // console.log("Backfill complete (one-time). Remove this block after use.");
-});
+    if (action === "cancel") {
+      await interaction.update({ content: "Cancelled.", components: [] });
+      return;
+    }
 
-client.login(token);
+    // leaderboard paging / sorting — open to everyone who can see the message
+    if (action === "lb" || action === "lbsort") {
+      const [sort, page, ranch, since, until, limit] = action === "lb" ? args : [interaction.values[0], "0", ...args];
+      await interaction.deferUpdate();
+      await interaction.editReply(await buildLeaderboardPage(guildId, interaction.guild, {
+        sort,
+        page: Number(page),
+        ranchId: ranch === "" ? null : Number(ranch),
+        sinceTs: since === "" ? null : Number(since),
+        untilTs: until === "" ? null : Number(until),
+        limit: Number(limit)
+      }));
+      return;
+    }
 
+    // the confirmations are ephemeral, but re-check in case permissions changed in between
+    const required = BUTTON_CAPABILITIES[action];
+    if (required && !hasCapability(interaction, required)) { await interaction.reply({ content: missingCapabilityMessage(required), ephemeral: true }); return; }
 
+    if (action === "reset_week") {
+      const ranchId = arg === "all" ? null : Number(arg);
+      // closing the period and posting the rollover notice can take longer than Discord waits for a reply
+      await interaction.deferUpdate();
+      const period = await performRollover(guildId, { ranchId, closedBy: interaction.user.id });
+      const scope = ranchId !== null ? ` for ${ranchLabel(guildId, ranchId)}` : "";
+      await interaction.editReply({ content: `✅ Weekly totals reset${scope}. Archived ${period.gather_count} entries as ${periodLabel(guildId, period)} (see /period show, undo with /undo).`, components: [] });
+      return;
+    }
 
+    if (action === "import") {
+      const pending = pendingImports.get(arg);
+      // only the member who staged the import can commit it; the others leave it pending
+      if (pending && pending.guildId === guildId && pending.userId !== interaction.user.id) {
+        await interaction.reply({ content: `Only <@${pending.userId}>, who ran this /import, can confirm it.`, ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+      pendingImports.delete(arg);
+      if (!pending || pending.guildId !== guildId || pending.expires < Date.now()) {
+        await interaction.update({ content: "This import expired; run /import again.", components: [] });
+        return;
+      }
+      const inserted = commitImport(pending.rows);
+      const skipped = pending.rows.length - inserted;
+      audit(guildId, interaction.user.id, "import", { params: { file: pending.file }, affected: { rows: inserted, skipped } });
+      await interaction.update({ content: `✅ Imported ${inserted} rows${skipped ? ` (${skipped} skipped as duplicates added since the dry run)` : ""}.`, components: [] });
+      return;
+    }
 
+    if (action === "run_weekly_report_now") {
+      await interaction.update({ content: "Running weekly report now...", components: [] });
+      const result = await performWeeklyReportAndReset(guildId, { closedBy: interaction.user.id });
+      audit(guildId, interaction.user.id, "run_weekly_report_now", { affected: result });
+      const content = result.error
+        ? `❌ Weekly report failed: ${result.error}`
+        : `${result.failed ? "⚠️" : "✅"} Weekly report completed: archived ${result.rows} entries as period #${result.period}, sent to ${result.sent} destination(s)${result.failed ? `, failed for ${result.failed} (see /report_destination list)` : ""}.`;
+      await interaction.followUp({ content, ephemeral: true });
+      return;
+    }
+  } catch (err) {
+    console.error("button error:", err);
+    await replyWithError(interaction);
+  }
+});
 
+// ----------------- Keep-alive HTTP server (Railway service detection) -----------------
+const PORT = process.env.PORT || 3000;
+if (isMain) {
+  http.createServer((req, res) => { res.writeHead(200); res.end("Ranch bot running"); }).listen(PORT, () => {
+    console.log("Health server running on port", PORT);
+  });
+}
 
+// ----------------- Last bits: ready/start -----------------
+client.once("ready", async () => {
+  console.log("🤖 Logged in as", client.user.tag);
+  for (const v of verifyParseRules()) {
+    if (v.failed.length > 0) console.error(`PARSER_FIXTURE_FAIL rule=${v.rule}`, v.failed);
+  }
+  startScheduler();
+  resumeBackfillJobs();
+});
 
+if (isMain) client.login(token);
 
+// for the tests (npm test)
+export {
+  db, verifyParseRules, parseGatherEvents, messageGatherEvents, applyMessageEdit, applyMessageDelete, reprocessParseFailures,
+  validateImportRow, commitImport, recordDestructiveOp, restoreDestructiveOp, hasCapability,
+  parseTimePoint, parseTimeRange, parseCron, latestDueTs, nextDueTs, toCsv, parseCsv, buildHerdLedger
+};
@@ -0,0 +1,41 @@
+// herd ledger: held animals, average cost and realized margin per ranch and animal
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.DB_PATH = ":memory:";
+const { db, buildHerdLedger } = await import("../index.js");
+
+const GUILD = "gh1";
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+let n = 0;
+function log(item_type, amount, day, { value = 0, ranch_id = 1, subtype = "bison" } = {}) {
+  n++;
+  db.prepare(`INSERT INTO gathers (guild_id, ts, channel_id, message_id, event_key, discord_id, ranch_id, item_type, amount, value, subtype)
+    VALUES (?, ?, 'c1', ?, ?, '123456789012345678', ?, ?, ?, ?, ?)`).run(GUILD, T0 + day * DAY, `m${n}`, `m${n}#0`, ranch_id, item_type, amount, value, subtype);
+}
+
+test("sales are costed at the average cost of the animals held", () => {
+  db.prepare(`INSERT INTO prices (guild_id, kind, key, price, effective_ts, set_at) VALUES (?, 'herd', 'bison', 100, ?, 0)`).run(GUILD, T0);
+  db.prepare(`INSERT INTO prices (guild_id, kind, key, price, effective_ts, set_at) VALUES (?, 'herd', 'bison', 150, ?, 0)`).run(GUILD, T0 + 10 * DAY);
+  log("herd_buy", 2, 1); // 2 × $100
+  log("herd_buy", 2, 11); // 2 × $150: 4 held, $125 each on average
+  log("herd_sell", 3, 12, { value: 600 }); // costs 3 × $125
+  log("herd_sell", 2, 13, { value: 400 }); // the last one held ($125) plus one never bought, at the price book ($150)
+  log("herd_buy", 5, 1, { ranch_id: 2 }); // another ranch keeps its own herd
+  // a deleted row is not part of the herd
+  log("herd_buy", 9, 2);
+  db.prepare(`UPDATE gathers SET deleted_at = 1 WHERE message_id = ?`).run(`m${n}`);
+
+  const [one, two] = buildHerdLedger(GUILD, { subtype: "bison" });
+  assert.deepEqual(
+    { ranch: one.ranch_id, bought: one.bought, sold: one.sold, held: one.held, buyCost: one.buyCost, costBasis: one.costBasis, revenue: one.revenue, realized: one.realized, unmatched: one.unmatched },
+    { ranch: 1, bought: 4, sold: 5, held: 0, buyCost: 500, costBasis: 0, revenue: 1000, realized: 350, unmatched: 1 }
+  );
+  assert.deepEqual(one.sales.map(s => [s.amount, s.cost, s.profit, s.unmatched]), [[3, 375, 225, 0], [2, 275, 125, 1]]);
+  // what's left is valued at the last sale price per head
+  assert.deepEqual([one.unitValue, one.valueSource], [200, "last sale"]);
+
+  // ranch 1's sales don't price ranch 2's herd: it has none, so the price book does
+  assert.deepEqual([two.ranch_id, two.held, two.avgCost, two.valueSource, two.unrealizedValue], [2, 5, 100, "price book", 750]);
+});
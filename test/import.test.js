@@ -0,0 +1,67 @@
+// /import: row validation and committing a checked file
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.DB_PATH = ":memory:";
+const { db, validateImportRow, commitImport, messageGatherEvents, toCsv, parseCsv } = await import("../index.js");
+
+test("imported rows dated before a close go to that closed period", () => {
+  const closed = Date.UTC(2026, 5, 1);
+  const { lastInsertRowid } = db.prepare(`INSERT INTO periods (guild_id, number, started_ts, closed_ts, snapshot) VALUES ('gi1', 1, 0, ?, '{}')`).run(closed);
+  const old = validateImportRow("gi1", { discord_id: "123456789012345678", item_type: "eggs", amount: 4, ts: String(closed - 1000) }).row;
+  const recent = validateImportRow("gi1", { discord_id: "123456789012345678", item_type: "eggs", amount: 2, ts: String(closed + 1000) }).row;
+  assert.equal(commitImport([old, recent]), 2);
+
+  const rows = db.prepare(`SELECT amount, period_id FROM gathers WHERE guild_id = 'gi1' ORDER BY amount`).all();
+  assert.deepEqual(rows, [{ amount: 2, period_id: null }, { amount: 4, period_id: Number(lastInsertRowid) }]);
+  assert.equal(db.prepare(`SELECT gather_count FROM periods WHERE id = ?`).get(lastInsertRowid).gather_count, 1);
+});
+
+test("imported rows carry the fingerprint the listener gives the same event", () => {
+  const { row } = validateImportRow("gi2", { discord_id: "123456789012345678", item_type: "eggs", amount: 4, ts: String(Date.UTC(2026, 5, 1)) });
+  const [ev] = messageGatherEvents({ id: "m1", content: "<@123456789012345678> collected 4 eggs" }, "gi2").events;
+  assert.equal(row.fingerprint, ev.fingerprint);
+});
+
+test("CSV round trip: quotes, commas, line breaks and formula-looking text", () => {
+  const rows = [
+    { id: 1, note: 'say "hi", then\nleave', empty: null, amount: 5 },
+    { id: 2, note: "=SUM(A1)", empty: "", amount: -3 }
+  ];
+  const csv = toCsv(rows, ["id", "note", "empty", "amount"]);
+  assert.equal(csv.split("\r\n")[0], "id,note,empty,amount");
+  // text a spreadsheet would run is escaped; numbers are left alone
+  assert.deepEqual(parseCsv(csv), [
+    { id: "1", note: 'say "hi", then\nleave', empty: "", amount: "5" },
+    { id: "2", note: "'=SUM(A1)", empty: "", amount: "-3" }
+  ]);
+  assert.deepEqual(parseCsv("\uFEFFItem_Type,Amount\n\neggs,3\n"), [{ item_type: "eggs", amount: "3" }]);
+});
+
+test("import rows are checked like the parser would build them", () => {
+  const ok = { discord_id: "<@123456789012345678>", item_type: "egg", amount: "3", time: "2026-01-05T10:00:00Z" };
+  const { row } = validateImportRow("gi2", ok);
+  assert.equal(row.item_type, "eggs");
+  assert.equal(row.discord_id, "123456789012345678");
+  assert.equal(row.ts, Date.UTC(2026, 0, 5, 10));
+  assert.equal(row.event_key, `${row.message_id}#0`);
+  // the same row imported twice gets the same message id
+  assert.equal(validateImportRow("gi2", ok).row.message_id, row.message_id);
+
+  assert.match(validateImportRow("gi2", { ...ok, item_type: "gold" }).error, /unknown item type/);
+  assert.match(validateImportRow("gi2", { ...ok, discord_id: "bob" }).error, /bad discord_id/);
+  assert.match(validateImportRow("gi2", { ...ok, amount: "1.5" }).error, /whole number/);
+  assert.match(validateImportRow("gi2", { ...ok, time: "" }).error, /needs ts, time or date/);
+  assert.match(validateImportRow("gi2", { ...ok, time: new Date(Date.now() + 86400000).toISOString() }).error, /future/);
+  assert.match(validateImportRow("gi2", { ...ok, item_type: "herd_buy" }).error, /needs a subtype/);
+  assert.match(validateImportRow("gi2", { ...ok, message_id: "m1", event_key: "m2#0" }).error, /does not belong/);
+});
+
+test("imported herd buys are priced at their own time, sales keep their value", () => {
+  db.prepare(`INSERT INTO prices (guild_id, kind, key, price, effective_ts, set_at) VALUES ('gi3', 'herd', 'goat', 20, ?, 0)`).run(Date.UTC(2026, 0, 1));
+  db.prepare(`INSERT INTO prices (guild_id, kind, key, price, effective_ts, set_at) VALUES ('gi3', 'herd', 'goat', 35, ?, 0)`).run(Date.UTC(2026, 2, 1));
+  const base = { discord_id: "123456789012345678", amount: "2", subtype: "Goat", date: "2026-02-10" };
+  assert.equal(validateImportRow("gi3", { ...base, item_type: "herd_buy" }).row.value, 40);
+  assert.equal(validateImportRow("gi3", { ...base, item_type: "herd_sell", value: "$1,050" }).row.value, 1050);
+  assert.match(validateImportRow("gi3", { ...base, item_type: "herd_sell", value: "lots" }).error, /bad value/);
+});
@@ -0,0 +1,85 @@
+// webhook message edits and deletions: the message's gathers follow it and stay on record
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.DB_PATH = ":memory:";
+const { db, messageGatherEvents, applyMessageEdit, applyMessageDelete, restoreDestructiveOp } = await import("../index.js");
+
+const GUILD = "gm1";
+const rowsOf = messageId => db.prepare(`SELECT id, item_type, amount, deleted_at FROM gathers WHERE guild_id = ? AND message_id = ? ORDER BY id`).all(GUILD, messageId);
+
+// what the listener stores for a new message
+function store(message) {
+  for (const ev of messageGatherEvents(message, GUILD).events) {
+    db.prepare(`INSERT INTO gathers (guild_id, ts, channel_id, message_id, event_key, discord_id, item_type, amount, value, fingerprint)
+      VALUES (?, 0, ?, ?, ?, ?, ?, ?, 0, ?)`).run(GUILD, message.channelId, message.id, ev.event_key, ev.discord_id, ev.item_type, ev.amount, ev.fingerprint);
+  }
+}
+
+test("a deleted message's gathers are kept as deleted and /undo brings them back", () => {
+  const message = { id: "m1", channelId: "c1", content: "<@123456789012345678> collected 5 eggs" };
+  store(message);
+  applyMessageDelete(GUILD, "m1");
+  const [row] = rowsOf("m1");
+  assert.ok(row.deleted_at);
+
+  const op = db.prepare(`SELECT id FROM destructive_ops WHERE guild_id = ? AND kind = 'gather_delete'`).get(GUILD);
+  assert.equal(restoreDestructiveOp(GUILD, op.id, "discord").error, undefined);
+  assert.equal(rowsOf("m1")[0].deleted_at, null);
+});
+
+test("an event an edit takes out and puts back keeps its row", () => {
+  const both = { id: "m2", channelId: "c1", content: "<@123456789012345678> collected 5 eggs\n<@123456789012345678> collected 2 milk" };
+  store(both);
+  const [eggs, milk] = rowsOf("m2");
+
+  applyMessageEdit(GUILD, { ...both, content: "<@123456789012345678> collected 5 eggs" });
+  assert.ok(rowsOf("m2").find(r => r.id === milk.id).deleted_at);
+
+  applyMessageEdit(GUILD, both);
+  assert.deepEqual(rowsOf("m2").map(r => [r.id, r.item_type, r.deleted_at]), [[eggs.id, "eggs", null], [milk.id, "milk", null]]);
+});
+
+test("an update that leaves the text alone, or a row edited by hand, is not re-parsed", () => {
+  const message = { id: "m3", channelId: "c1", content: "<@123456789012345678> collected 5 eggs" };
+  store(message);
+  const [eggs] = rowsOf("m3");
+  // what /gather edit does
+  db.prepare(`UPDATE gathers SET amount = 3 WHERE id = ?`).run(eggs.id);
+  db.prepare(`INSERT INTO gather_history (guild_id, gather_id, discord_id, action, reason, performed_by, performed_at) VALUES (?, ?, '123456789012345678', 'edit', 'miscounted', '999', 0)`).run(GUILD, eggs.id);
+
+  applyMessageEdit(GUILD, message, { ...message });
+  assert.equal(rowsOf("m3")[0].amount, 3);
+  applyMessageEdit(GUILD, { ...message, content: "<@123456789012345678> collected 6 eggs" }, message);
+  assert.equal(rowsOf("m3")[0].amount, 3);
+  applyMessageEdit(GUILD, { ...message, content: "nothing here" }, message);
+  assert.equal(rowsOf("m3")[0].deleted_at, null);
+});
+
+test("an event a moderator deleted stays deleted when its message is updated", () => {
+  const both = { id: "m4", channelId: "c1", content: "<@123456789012345678> collected 5 eggs\n<@123456789012345678> collected 2 milk" };
+  store(both);
+  const [, milk] = rowsOf("m4");
+  // what /gather delete does
+  db.prepare(`UPDATE gathers SET deleted_at = 1 WHERE id = ?`).run(milk.id);
+  db.prepare(`INSERT INTO gather_history (guild_id, gather_id, discord_id, action, reason, performed_by, performed_at) VALUES (?, ?, '123456789012345678', 'delete', 'bogus', '999', 0)`).run(GUILD, milk.id);
+
+  applyMessageEdit(GUILD, { ...both, content: `${both.content} ` });
+  assert.deepEqual(rowsOf("m4").map(r => [r.item_type, r.deleted_at === null]), [["eggs", true], ["milk", false]]);
+});
+
+test("an edit that takes out the first event removes that event's row and leaves the rest", () => {
+  const eggs = "<@123456789012345678> collected 5 eggs", milk = "<@123456789012345678> collected 2 milk";
+  const message = { id: "m5", channelId: "c1", content: `${eggs}\n${milk}` };
+  store(message);
+  const [eggsRow, milkRow] = rowsOf("m5");
+
+  applyMessageEdit(GUILD, { ...message, content: milk });
+  assert.deepEqual(rowsOf("m5").map(r => [r.id, r.item_type, r.deleted_at === null]), [[eggsRow.id, "eggs", false], [milkRow.id, "milk", true]]);
+  const history = db.prepare(`SELECT gather_id, action FROM gather_history WHERE gather_id IN (?, ?) ORDER BY id`).all(eggsRow.id, milkRow.id);
+  assert.deepEqual(history, [{ gather_id: eggsRow.id, action: "delete" }]);
+
+  // a new event takes a key no stored row holds
+  applyMessageEdit(GUILD, { ...message, content: `${milk}\n<@123456789012345678> collected 4 wool` });
+  assert.deepEqual(rowsOf("m5").map(r => [r.item_type, r.amount, r.deleted_at === null]), [["eggs", 5, false], ["milk", 2, true], ["wool", 4, true]]);
+});
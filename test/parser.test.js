@@ -0,0 +1,59 @@
+// parser regressions: every rule's fixtures plus the whole-message ones, then cases that need a
+// guild's character links. Runs against a throwaway in-memory database.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.DB_PATH = ":memory:";
+const { db, verifyParseRules, messageGatherEvents, reprocessParseFailures } = await import("../index.js");
+
+test("rule and message fixtures", () => {
+  for (const v of verifyParseRules()) {
+    assert.deepEqual(v.failed, [], `${v.rule}: ${v.failed.length} of ${v.total} fixtures failed`);
+  }
+});
+
+test("embed fields share the embed's actor and ranch id", () => {
+  const { events } = messageGatherEvents({
+    id: "1",
+    embeds: [{ title: "[Bob] Gather log", fields: [{ name: "Ranch ID", value: "344" }, { name: "Gather", value: "collected 5 eggs" }, { name: "Gather", value: "collected 2 milk" }] }]
+  }, null);
+  assert.deepEqual(events.map(ev => [ev.item_type, ev.amount, ev.actor, ev.ranch_id]), [["eggs", 5, "Bob", 344], ["milk", 2, "Bob", 344]]);
+});
+
+test("a batched message credits each line to its own member", () => {
+  const { events } = messageGatherEvents({ id: "2", content: "[Alice] <@123456789012345678> collected 5 eggs\n[Bob] <@223456789012345678> collected 3 milk" }, null);
+  assert.deepEqual(events.map(ev => [ev.item_type, ev.actor, ev.discord_id]), [["eggs", "Alice", "123456789012345678"], ["milk", "Bob", "223456789012345678"]]);
+});
+
+test("a line's own linked character wins over a mention on another line", () => {
+  db.prepare(`INSERT INTO character_links (guild_id, name_key, name, discord_id, linked_at) VALUES ('g1', 'bob', 'Bob', '323456789012345678', 0)`).run();
+  const { events } = messageGatherEvents({ id: "3", content: "[Alice] <@123456789012345678> collected 5 eggs\n[Bob] collected 3 milk" }, "g1");
+  assert.deepEqual(events.map(ev => [ev.item_type, ev.actor, ev.discord_id]), [["eggs", "Alice", "123456789012345678"], ["milk", "Bob", "323456789012345678"]]);
+});
+
+test("re-processing a kept message reads it like the listener did", () => {
+  const message = {
+    id: "4",
+    channelId: "c1",
+    content: "[Carol] collected 5 eggs",
+    embeds: [{ title: "[Carol] Gather log", fields: [{ name: "Gather", value: "collected 5 eggs" }, { name: "Gather", value: "collected 2 milk" }] }]
+  };
+  const live = messageGatherEvents(message, "g2");
+  assert.equal(live.events.length, 2);
+  db.prepare(`INSERT INTO parse_failures (guild_id, ts, channel_id, message_id, text, reason, actor, message) VALUES ('g2', 0, 'c1', '4', ?, 'no_mention', 'Carol', ?)`)
+    .run(live.text, JSON.stringify({ content: message.content, embeds: message.embeds }));
+  db.prepare(`INSERT INTO character_links (guild_id, name_key, name, discord_id, linked_at) VALUES ('g2', 'carol', 'Carol', '423456789012345678', 0)`).run();
+
+  const r = reprocessParseFailures({ guildId: "g2" });
+  assert.deepEqual([r.inserted, r.noMention, r.stillFailing], [2, 0, 0]);
+  const rows = db.prepare(`SELECT event_key, item_type FROM gathers WHERE guild_id = 'g2' ORDER BY id`).all();
+  assert.deepEqual(rows.map(g => [g.event_key, g.item_type]), live.events.map(ev => [ev.event_key, ev.item_type]));
+});
+
+test("herd buys are priced when the log was posted, not when it is parsed", () => {
+  const posted = Date.UTC(2026, 0, 10);
+  db.prepare(`INSERT INTO prices (guild_id, kind, key, price, effective_ts, set_at) VALUES ('g3', 'herd', 'bison', 100, ?, 0)`).run(Date.UTC(2026, 0, 1));
+  db.prepare(`INSERT INTO prices (guild_id, kind, key, price, effective_ts, set_at) VALUES ('g3', 'herd', 'bison', 250, ?, 0)`).run(Date.UTC(2026, 1, 1));
+  const { events } = messageGatherEvents({ id: "5", createdTimestamp: posted, content: "<@123456789012345678> bought 2 Bison" }, "g3");
+  assert.deepEqual(events.map(ev => [ev.item_type, ev.value]), [["herd_buy", 200]]);
+});
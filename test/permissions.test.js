@@ -0,0 +1,38 @@
+// role capabilities: Manage Server has them all, other members get what their roles were granted
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PermissionsBitField } from "discord.js";
+
+process.env.DB_PATH = ":memory:";
+const { db, hasCapability } = await import("../index.js");
+
+const GUILD = "gp1";
+const interaction = ({ manageGuild = false, roles = [] } = {}) => ({
+  guildId: GUILD,
+  memberPermissions: new PermissionsBitField(manageGuild ? PermissionsBitField.Flags.ManageGuild : 0n),
+  member: { roles }
+});
+db.prepare(`INSERT INTO role_capabilities (guild_id, role_id, capability, granted_at) VALUES (?, 'r-export', 'view_reports', 0)`).run(GUILD);
+db.prepare(`INSERT INTO role_capabilities (guild_id, role_id, capability, granted_at) VALUES ('other', 'r-edit', 'edit_gathers', 0)`).run();
+
+test("Manage Server has every capability, admin included", () => {
+  for (const cap of ["view_reports", "edit_gathers", "configure", "admin"]) assert.equal(hasCapability(interaction({ manageGuild: true }), cap), true, cap);
+});
+
+test("a role has only what was granted to it in this guild", () => {
+  assert.equal(hasCapability(interaction({ roles: ["r-export"] }), "view_reports"), true);
+  assert.equal(hasCapability(interaction({ roles: ["r-export"] }), "edit_gathers"), false);
+  assert.equal(hasCapability(interaction({ roles: ["r-edit"] }), "edit_gathers"), false);
+  assert.equal(hasCapability(interaction(), "view_reports"), false);
+});
+
+test("admin and unknown capabilities can't be granted to roles", () => {
+  db.prepare(`INSERT INTO role_capabilities (guild_id, role_id, capability, granted_at) VALUES (?, 'r-export', 'admin', 0)`).run(GUILD);
+  assert.equal(hasCapability(interaction({ roles: ["r-export"] }), "admin"), false);
+  assert.equal(hasCapability(interaction({ roles: ["r-export"] }), "no_such_capability"), false);
+});
+
+test("cached members' role managers work like raw role id lists", () => {
+  const cached = { ...interaction(), member: { roles: { cache: new Map([["r-export", {}]]) } } };
+  assert.equal(hasCapability(cached, "view_reports"), true);
+});
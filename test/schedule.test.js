@@ -0,0 +1,66 @@
+// cron schedules: parsing, and finding the run a tick (or a catch-up after downtime) is due for
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.DB_PATH = ":memory:";
+const { parseCron, latestDueTs, nextDueTs } = await import("../index.js");
+
+test("cron fields: lists, ranges, steps, aliases and Sunday as 7", () => {
+  const c = parseCron("0,30 9-17/4 * * 1-5");
+  assert.deepEqual([...c.minute], [0, 30]);
+  assert.deepEqual([...c.hour], [9, 13, 17]);
+  assert.deepEqual([...c.dow], [1, 2, 3, 4, 5]);
+  assert.equal(c.domAny, true);
+  assert.deepEqual([...parseCron("*/20 * * * *").minute], [0, 20, 40]);
+  assert.deepEqual([...parseCron("0 0 * * 7").dow], [0]);
+  assert.deepEqual(parseCron("@weekly"), parseCron("0 0 * * 0"));
+});
+
+test("malformed cron expressions are rejected", () => {
+  for (const bad of ["", "0 9 * *", "60 9 * * *", "0 24 * * *", "0 9 0 * *", "0 9 * 13 *", "5-1 * * * *", "*/0 * * * *", "0 9 * * mon"]) {
+    assert.equal(parseCron(bad), null, bad);
+  }
+});
+
+test("crons naming a day that never comes are rejected", () => {
+  for (const never of ["0 0 31 2 *", "0 0 30,31 2 *", "0 0 31 4,6,9,11 *"]) assert.equal(parseCron(never), null, never);
+  // Feb 29 comes every four years; with a weekday, the weekday alone fires it
+  for (const ok of ["0 0 29 2 *", "0 0 31 2 1", "0 0 31 1-2 *"]) assert.ok(parseCron(ok), ok);
+});
+
+test("latestDueTs finds the last run in the window, in the guild timezone", () => {
+  const weekly = parseCron("0 9 * * 1");
+  // Monday 2026-10-12 09:00 in Toronto is 13:00 UTC
+  const due = Date.UTC(2026, 9, 12, 13);
+  assert.equal(latestDueTs(weekly, "America/Toronto", Date.UTC(2026, 9, 11), Date.UTC(2026, 9, 14)), due);
+  assert.equal(latestDueTs(weekly, "UTC", Date.UTC(2026, 9, 11), Date.UTC(2026, 9, 14)), Date.UTC(2026, 9, 12, 9));
+  // the window is (after, upTo]: a run at `after` was already handled
+  assert.equal(latestDueTs(weekly, "America/Toronto", due, Date.UTC(2026, 9, 14)), null);
+  assert.equal(latestDueTs(weekly, "America/Toronto", due - 1, due), due);
+});
+
+test("a catch-up after downtime fires only the latest missed run", () => {
+  const daily = parseCron("30 21 * * *");
+  assert.equal(latestDueTs(daily, "UTC", Date.UTC(2026, 9, 1), Date.UTC(2026, 9, 4, 12)), Date.UTC(2026, 9, 3, 21, 30));
+});
+
+test("a restricted day of month and day of week match when either does", () => {
+  const c = parseCron("0 12 1 * 5");
+  // Thursday 2026-10-01 is the 1st; Friday 2026-10-02 is a Friday
+  assert.equal(latestDueTs(c, "UTC", Date.UTC(2026, 8, 30), Date.UTC(2026, 9, 1, 23)), Date.UTC(2026, 9, 1, 12));
+  assert.equal(latestDueTs(c, "UTC", Date.UTC(2026, 9, 1, 23), Date.UTC(2026, 9, 2, 23)), Date.UTC(2026, 9, 2, 12));
+});
+
+test("nextDueTs finds the next run across skipped days, DST changes and odd offsets", () => {
+  // Saturday 2026-10-10 -> Monday 09:00 Toronto
+  assert.equal(nextDueTs(parseCron("0 9 * * 1"), "America/Toronto", Date.UTC(2026, 9, 10, 12)), Date.UTC(2026, 9, 12, 13));
+  // clocks spring forward on 2027-03-14; 00:30 on the 15th is already daylight time
+  assert.equal(nextDueTs(parseCron("30 0 15 3 *"), "America/Toronto", Date.UTC(2027, 2, 13, 17)), Date.UTC(2027, 2, 15, 4, 30));
+  // Kathmandu is UTC+05:45
+  assert.equal(nextDueTs(parseCron("0 9 * * *"), "Asia/Kathmandu", Date.UTC(2026, 9, 1)), Date.UTC(2026, 9, 1, 3, 15));
+  assert.equal(nextDueTs(parseCron("15,45 */6 * * *"), "UTC", Date.UTC(2026, 9, 1, 6, 20)), Date.UTC(2026, 9, 1, 6, 45));
+  // nothing within the default 32 days
+  const leapDay = parseCron("0 0 29 2 *");
+  assert.equal(nextDueTs(leapDay, "UTC", Date.UTC(2026, 9, 1)), null);
+  assert.equal(nextDueTs(leapDay, "UTC", Date.UTC(2026, 9, 1), 2 * 366 * 24 * 60 * 60 * 1000), Date.UTC(2028, 1, 29));
+});
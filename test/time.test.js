@@ -0,0 +1,43 @@
+// time ranges: relative and named periods, dates in the guild timezone, since/until validation
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.DB_PATH = ":memory:";
+const { parseTimePoint, parseTimeRange } = await import("../index.js");
+
+const HOUR = 60 * 60 * 1000;
+
+test("relative points count back from now", () => {
+  const now = Date.UTC(2026, 9, 14, 12);
+  assert.deepEqual(parseTimePoint("24h", "UTC", now), { start: now - 24 * HOUR, end: now - 24 * HOUR, named: false });
+  assert.equal(parseTimePoint("2w", "UTC", now).start, now - 14 * 24 * HOUR);
+  assert.equal(parseTimePoint("3mo", "UTC", now).start, Date.UTC(2026, 6, 14, 12));
+});
+
+test("named periods: weeks start Monday, months roll over the year", () => {
+  const wednesday = Date.UTC(2026, 9, 14, 12);
+  assert.deepEqual(parseTimePoint("this_week", "UTC", wednesday), { start: Date.UTC(2026, 9, 12), end: Date.UTC(2026, 9, 19), named: true });
+  assert.deepEqual(parseTimePoint("last week", "UTC", wednesday), { start: Date.UTC(2026, 9, 5), end: Date.UTC(2026, 9, 12), named: true });
+
+  const january = Date.UTC(2026, 0, 15);
+  assert.deepEqual(parseTimePoint("last_month", "UTC", january), { start: Date.UTC(2025, 11, 1), end: Date.UTC(2026, 0, 1), named: true });
+  const december = Date.UTC(2025, 11, 20);
+  assert.deepEqual(parseTimePoint("this_month", "UTC", december), { start: Date.UTC(2025, 11, 1), end: Date.UTC(2026, 0, 1), named: true });
+});
+
+test("dates are read in the guild timezone, across DST changes", () => {
+  const now = Date.UTC(2026, 11, 1);
+  assert.deepEqual(parseTimePoint("2026-10-01", "America/Toronto", now), { start: Date.UTC(2026, 9, 1, 4), end: Date.UTC(2026, 9, 2, 4), named: false });
+  // clocks go back on 2026-11-01, so that day lasts 25 hours
+  assert.deepEqual(parseTimePoint("2026-11-01", "America/Toronto", now), { start: Date.UTC(2026, 10, 1, 4), end: Date.UTC(2026, 10, 2, 5), named: false });
+  assert.equal(parseTimePoint("2026-10-01 18:30", "Europe/Berlin", now).start, Date.UTC(2026, 9, 1, 16, 30));
+  assert.equal(parseTimePoint("2026-13-01", "UTC", now), null);
+});
+
+test("ranges: until a date includes that day, bad input and empty ranges are errors", () => {
+  assert.deepEqual(parseTimeRange("2026-10-01", "2026-10-03", "UTC"), { sinceTs: Date.UTC(2026, 9, 1), untilTs: Date.UTC(2026, 9, 4), label: "2026-10-01 → 2026-10-03" });
+  assert.deepEqual(parseTimeRange(null, null, "UTC"), { sinceTs: null, untilTs: null, label: "all-time" });
+  assert.match(parseTimeRange("someday", null, "UTC").error, /Couldn't read since "someday"/);
+  assert.match(parseTimeRange(null, "later", "UTC").error, /Couldn't read until "later"/);
+  assert.match(parseTimeRange("2026-10-03", "2026-10-01", "UTC").error, /range is empty/);
+});
@@ -0,0 +1,28 @@
+// /undo: each kind of change can only be put back by a member who could have made it
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.DB_PATH = ":memory:";
+const { db, recordDestructiveOp, restoreDestructiveOp, hasCapability } = await import("../index.js");
+
+// a member with one role and no Manage Server
+const member = (guildId, roles) => ({ guildId, memberPermissions: { has: () => false }, member: { roles } });
+const lastOpId = guildId => db.prepare(`SELECT MAX(id) AS id FROM destructive_ops WHERE guild_id = ?`).get(guildId).id;
+
+for (const kind of ["character_unlink", "character_relink"]) {
+  test(`${kind} needs edit_gathers to undo`, () => {
+    const guildId = `g-${kind}`;
+    const link = { name_key: "bob", name: "Bob", discord_id: "123456789012345678", linked_by: "123456789012345678", linked_at: 0 };
+    recordDestructiveOp(guildId, kind, { summary: "test", payload: { link }, performed_by: "223456789012345678" });
+    const id = lastOpId(guildId);
+
+    const res = restoreDestructiveOp(guildId, id, "323456789012345678", cap => hasCapability(member(guildId, ["role-a"]), cap));
+    assert.match(res.error, /edit_gathers/);
+    assert.equal(db.prepare(`SELECT COUNT(1) AS cnt FROM character_links WHERE guild_id = ?`).get(guildId).cnt, 0);
+
+    db.prepare(`INSERT INTO role_capabilities (guild_id, role_id, capability, granted_at) VALUES (?, 'role-a', 'edit_gathers', 0)`).run(guildId);
+    const ok = restoreDestructiveOp(guildId, id, "323456789012345678", cap => hasCapability(member(guildId, ["role-a"]), cap));
+    assert.equal(ok.error, undefined);
+    assert.equal(db.prepare(`SELECT discord_id FROM character_links WHERE guild_id = ? AND name_key = 'bob'`).get(guildId).discord_id, link.discord_id);
+  });
+}